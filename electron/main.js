@@ -1,4 +1,6 @@
-import { app, BrowserWindow } from 'electron'
+import { app, BrowserWindow, ipcMain } from 'electron'
+import fs from 'node:fs/promises'
+import os from 'node:os'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 
@@ -9,6 +11,67 @@ const isProd = app.isPackaged || process.env.NODE_ENV === 'production'
 
 let viteServer = null
 let mainWindow = null
+let relay = null
+
+// Save slots: one JSON file per slot in <userData>/saves
+const savesDir = () => path.join(app.getPath('userData'), 'saves')
+
+const slotFile = (slot) => {
+  if (typeof slot !== 'string' || !/^[a-z0-9-]{1,40}$/.test(slot)) {
+    throw new Error(`Invalid save slot "${slot}"`)
+  }
+  return path.join(savesDir(), `${slot}.json`)
+}
+
+const ignoreMissing = (fallback) => (err) => {
+  if (err.code === 'ENOENT') return fallback
+  throw err
+}
+
+ipcMain.handle('saves:list', async () => {
+  const files = await fs.readdir(savesDir()).catch(ignoreMissing([]))
+  return files.filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5))
+})
+
+ipcMain.handle('saves:read', async (_event, slot) => {
+  const text = await fs
+    .readFile(slotFile(slot), 'utf8')
+    .catch(ignoreMissing(null))
+  return text == null ? null : JSON.parse(text)
+})
+
+ipcMain.handle('saves:write', async (_event, slot, data) => {
+  const file = slotFile(slot)
+  await fs.mkdir(savesDir(), { recursive: true })
+  // write-then-rename so a crash never leaves a half-written save behind
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2))
+  await fs.rename(`${file}.tmp`, file)
+})
+
+ipcMain.handle('saves:remove', async (_event, slot) => {
+  await fs.rm(slotFile(slot), { force: true })
+})
+
+// Local relay for online battles, started on demand from the setup screen.
+// Returns the port and this machine's LAN addresses for the other player.
+ipcMain.handle('relay:start', async () => {
+  if (!relay) {
+    const { DEFAULT_PORT, startRelayServer } = await import('../server/relay.js')
+    relay = startRelayServer({ port: DEFAULT_PORT })
+  }
+  let port
+  try {
+    port = await relay.ready
+  } catch (err) {
+    relay = null
+    throw err
+  }
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((a) => a.family === 'IPv4' && !a.internal)
+    .map((a) => a.address)
+  return { port, addresses }
+})
 
 async function createWindow() {
   mainWindow = new BrowserWindow({
@@ -72,6 +135,10 @@ app.on('before-quit', async () => {
     try { await viteServer.close() } catch {}
     viteServer = null
   }
+  if (relay) {
+    await relay.close().catch(() => {})
+    relay = null
+  }
 })
 
 app.whenReady().then(createWindow)
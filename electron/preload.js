@@ -1,7 +1,19 @@
-import { contextBridge } from 'electron'
+import { contextBridge, ipcRenderer } from 'electron'
 
 // Экспортируем минимальный API (расширите при необходимости)
 contextBridge.exposeInMainWorld('appInfo', {
   name: 'My Arena Game',
 })
 
+// Local relay server for online battles (see main.js)
+contextBridge.exposeInMainWorld('relay', {
+  start: () => ipcRenderer.invoke('relay:start'),
+})
+
+// Save slots as JSON files in the user data directory (see main.js)
+contextBridge.exposeInMainWorld('saveStore', {
+  list: () => ipcRenderer.invoke('saves:list'),
+  read: (slot) => ipcRenderer.invoke('saves:read', slot),
+  write: (slot, data) => ipcRenderer.invoke('saves:write', slot, data),
+  remove: (slot) => ipcRenderer.invoke('saves:remove', slot),
+})
@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Electron main process and the relay server run on Node
+    files: ['electron/**/*.js', 'server/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
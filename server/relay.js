@@ -0,0 +1,178 @@
+import { randomBytes, randomUUID } from 'node:crypto'
+import { pathToFileURL } from 'node:url'
+import { WebSocketServer } from 'ws'
+
+// Lobby relay for online battles. It knows nothing about the game: it pairs a
+// host and a guest by lobby code and forwards their messages in order.
+//
+// Client -> relay
+//   { type: 'host' }                          -> { type: 'hosted', code, token, role: 'host' }
+//   { type: 'join', code }                    -> { type: 'joined', code, token, role: 'guest' }
+//   { type: 'rejoin', code, token, lastSeq }  -> { type: 'rejoined', role, lastId }
+//   { type: 'relay', id, payload }            -> { type: 'ack', id }
+// Relay -> client
+//   { type: 'relay', seq, payload }           forwarded from the other side
+//   { type: 'peer', status: 'joined' | 'away' | 'back' }
+//   { type: 'error', message }
+//
+// `id` numbers a client's own messages so resends after a reconnect are
+// dropped; `seq` numbers what the relay delivered so a reconnecting client gets
+// everything after `lastSeq` again.
+
+export const DEFAULT_PORT = 8787
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // no 0/O, 1/I
+const CODE_LENGTH = 5
+const LOG_LIMIT = 1000 // messages kept per lobby for replay on reconnect
+const ROOM_TTL_MS = 10 * 60 * 1000 // lobby survives this long with nobody connected
+
+const other = (role) => (role === 'host' ? 'guest' : 'host')
+
+function newCode(rooms) {
+  let code
+  do {
+    code = [...randomBytes(CODE_LENGTH)]
+      .map((b) => CODE_CHARS[b % CODE_CHARS.length])
+      .join('')
+  } while (rooms.has(code))
+  return code
+}
+
+export function startRelayServer({ port = DEFAULT_PORT, host } = {}) {
+  const rooms = new Map() // code -> { seats: { host, guest }, log, seq, expiry }
+  let stopped = false
+
+  const send = (ws, msg) => {
+    if (ws && ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg))
+  }
+
+  const notifyPeer = (room, role, status) =>
+    send(room.seats[other(role)]?.ws, { type: 'peer', status })
+
+  const seat = (room, role, ws) => {
+    room.seats[role] = { token: randomUUID(), ws, lastId: 0 }
+    clearTimeout(room.expiry)
+    return room.seats[role].token
+  }
+
+  const expireLater = (code, room) => {
+    const anyone = Object.values(room.seats).some((s) => s?.ws)
+    if (anyone || stopped) return
+    room.expiry = setTimeout(() => rooms.delete(code), ROOM_TTL_MS)
+  }
+
+  const handle = (ws, client, msg) => {
+    switch (msg.type) {
+      case 'host': {
+        const code = newCode(rooms)
+        const room = { seats: {}, log: [], seq: 0, expiry: null }
+        rooms.set(code, room)
+        const token = seat(room, 'host', ws)
+        Object.assign(client, { code, role: 'host' })
+        return send(ws, { type: 'hosted', code, token, role: 'host' })
+      }
+      case 'join': {
+        const code = String(msg.code ?? '').trim().toUpperCase()
+        const room = rooms.get(code)
+        if (!room) return send(ws, { type: 'error', message: `No lobby "${code}"` })
+        if (room.seats.guest)
+          return send(ws, { type: 'error', message: `Lobby "${code}" is full` })
+        const token = seat(room, 'guest', ws)
+        Object.assign(client, { code, role: 'guest' })
+        send(ws, { type: 'joined', code, token, role: 'guest' })
+        return notifyPeer(room, 'guest', 'joined')
+      }
+      case 'rejoin': {
+        const room = rooms.get(msg.code)
+        const role = ['host', 'guest'].find(
+          (r) => room?.seats[r]?.token === msg.token
+        )
+        if (!role) return send(ws, { type: 'error', message: 'Session expired' })
+        const s = room.seats[role]
+        if (s.ws && s.ws !== ws) s.ws.close()
+        s.ws = ws
+        clearTimeout(room.expiry)
+        Object.assign(client, { code: msg.code, role })
+        send(ws, { type: 'rejoined', role, lastId: s.lastId })
+        room.log
+          .filter((m) => m.to === role && m.seq > (msg.lastSeq ?? 0))
+          .forEach((m) => send(ws, { type: 'relay', seq: m.seq, payload: m.payload }))
+        return notifyPeer(room, role, 'back')
+      }
+      case 'relay': {
+        const room = rooms.get(client.code)
+        const s = room?.seats[client.role]
+        if (!s) return send(ws, { type: 'error', message: 'Not in a lobby' })
+        send(ws, { type: 'ack', id: msg.id })
+        if (msg.id <= s.lastId) return // resent after a reconnect
+        s.lastId = msg.id
+        const entry = { seq: ++room.seq, to: other(client.role), payload: msg.payload }
+        room.log.push(entry)
+        if (room.log.length > LOG_LIMIT) room.log.shift()
+        return send(room.seats[entry.to]?.ws, {
+          type: 'relay',
+          seq: entry.seq,
+          payload: entry.payload,
+        })
+      }
+      default:
+        return send(ws, { type: 'error', message: `Unknown message "${msg.type}"` })
+    }
+  }
+
+  const wss = new WebSocketServer({ port, host })
+
+  wss.on('connection', (ws) => {
+    const client = { code: null, role: null }
+    // a malformed frame: drop the connection ('close' cleans up the seat)
+    ws.on('error', () => ws.terminate())
+    ws.on('message', (data) => {
+      let msg
+      try {
+        msg = JSON.parse(data)
+      } catch {
+        return send(ws, { type: 'error', message: 'Bad JSON' })
+      }
+      if (msg === null || typeof msg !== 'object' || Array.isArray(msg))
+        return send(ws, { type: 'error', message: 'Expected a JSON object' })
+      handle(ws, client, msg)
+    })
+    ws.on('close', () => {
+      const room = rooms.get(client.code)
+      const s = room?.seats[client.role]
+      if (!s || s.ws !== ws) return
+      s.ws = null
+      notifyPeer(room, client.role, 'away')
+      expireLater(client.code, room)
+    })
+  })
+
+  const ready = new Promise((resolve, reject) => {
+    wss.once('listening', () => resolve(wss.address().port))
+    wss.once('error', reject)
+  })
+  // later server errors (after `ready` settled) must not crash the host process
+  wss.on('error', (e) => console.error(`Relay error: ${e.message}`))
+
+  return {
+    ready, // resolves with the port actually bound (useful with port 0)
+    close: () =>
+      new Promise((resolve) => {
+        stopped = true
+        rooms.forEach((room) => clearTimeout(room.expiry))
+        wss.clients.forEach((ws) => ws.terminate())
+        wss.close(() => resolve())
+      }),
+  }
+}
+
+// `node server/relay.js [port]` runs the relay on its own
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  const port = Number(process.argv[2] ?? process.env.PORT ?? DEFAULT_PORT)
+  startRelayServer({ port }).ready.then(
+    (p) => console.log(`Relay listening on ws://0.0.0.0:${p}`),
+    (e) => {
+      console.error(`Relay failed to start: ${e.message}`)
+      process.exit(1)
+    }
+  )
+}
@@ -13,9 +13,81 @@ import {
   Environment,
   Html,
   Clone,
+  Line,
   useProgress,
 } from "@react-three/drei";
 import * as THREE from "three";
+import {
+  key,
+  abilityPower,
+  abilityTargets,
+  activeUnit,
+  applyAction,
+  attackForecast,
+  blockedShot,
+  campaignAdjust,
+  canAct,
+  canAttack,
+  canCast,
+  canDefer,
+  canTargetAbility,
+  canUseAbility,
+  castOf,
+  castPreview,
+  castTargets,
+  cooldownLeft,
+  createBattleState,
+  createReplay,
+  createScenarioBattle,
+  creaturesLeft,
+  creaturesLost,
+  DEFEND_BONUS,
+  DIFFICULTIES,
+  finishBattle,
+  findAttackApproach,
+  forecastStrike,
+  fromReplayData,
+  getUnit,
+  hashState,
+  initiativeOrder,
+  isStack,
+  isWorn,
+  movePath,
+  newCampaign,
+  otherTeam,
+  parseSeed,
+  reachableTiles,
+  recordAction,
+  speedOf,
+  STATUS_EFFECTS,
+  ReplayError,
+  replayStep,
+  SaveError,
+  terrainAt,
+  toSaveData,
+  unitAbilities,
+  unitItems,
+  unitsOf,
+} from "./battle/index.js";
+import { planTurn } from "./aiWorker.js";
+import { describeEvent, logText } from "./combatLog.js";
+import { downloadText, pickTextFile } from "./files.js";
+import { connectRelay } from "./net/relayClient.js";
+import { PROTOCOL_VERSION, checkIntent, teamOfRole } from "./net/protocol.js";
+import { loadPreferences, savePreferences } from "./preferences.js";
+import {
+  AUTOSAVE_SLOT,
+  readCampaign,
+  readSave,
+  writeCampaign,
+  writeSave,
+} from "./saves.js";
+import { ASSET_BASE, loadCatalog } from "./scenarios.js";
+import CampaignScreen from "./CampaignScreen.jsx";
+import CombatLogPanel from "./CombatLogPanel.jsx";
+import LobbyPanel from "./LobbyPanel.jsx";
+import SavePanel from "./SavePanel.jsx";
+import SetupScreen from "./SetupScreen.jsx";
 
 /**
  * Heroes-like minimal tactics prototype
@@ -24,46 +96,102 @@ import * as THREE from "three";
  * Features:
  * - Fullscreen arena, rotatable with mouse (OrbitControls)
  * - Grid-based movement with range highlight
- * - Player vs AI turns. A unit acts once per round; when all have acted => switch turn
+ * - Terrain: walls/rocks block, water costs 2 moves, forest soaks 1 damage,
+ *   high ground gives ranged units +1 range
+ * - Ranged attacks need line of sight (units and walls/rocks block the shot)
+ * - Player vs AI, or hot-seat for two people (camera swings to the side to move)
+ * - Online/LAN: two machines through the relay in server/ (lobby codes,
+ *   reconnects, state hashes after every turn to catch desyncs; see ./net)
+ * - Each round a unit may move, then act (attack, use an ability, wait or
+ *   defend); End Turn unlocks once every hero has moved or acted
+ * - Abilities (heal, fireball, charge, shield bash, volley) come from the
+ *   roster with range, area and cooldown; the ability bar arms one and the
+ *   grid shows its targets and the area it would hit
+ * - Damage: hit chance (accuracy vs evasion), a damage range, crits, class
+ *   bonuses and armor; hovering a target shows the attack forecast
+ * - Melee defenders strike back once per round (not against the assassin)
+ * - Unit stacks: a count of creatures sharing one tile (badge on the unit and
+ *   its card); losses weaken the stack's attacks and heals cannot raise them
+ * - Status effects (poison, burn, stun, shield, regeneration) from abilities and
+ *   swamps tick at the start of their side's turn; icons show above units and
+ *   on the unit cards
  * - Auto-attack when adjacent (4-neighborhood). Smooth move (jumping) + attack animation
  * - End Turn button lights up when all player units used their moves
  * - Victory/Defeat overlay
  * - GLB models per unit (with graceful fallback to primitive mesh if unavailable)
+ * - Enemy AI: Easy (random), Normal (target/danger scoring) or Hard (Monte-Carlo
+ *   search over the next turns)
+ * - Units, classes and battle layouts come from public/scenarios/*.json
+ * - Save slots (localStorage, or files in userData under Electron) plus an
+ *   autosave at the start of every player turn
+ * - Combat log side panel (filter by side, export as text)
+ * - Optional initiative mode: every unit gets its own turn each round in speed
+ *   order, shown by the initiative bar at the top
+ * - Items: worn weapons, armor and artifacts change stats or give a passive
+ *   effect; consumables (potions, scrolls) are used from the ability bar
+ * - Campaign: a world map of battles fought in order; heroes level up on XP
+ *   from kills (stats, new abilities) and carry their wounds between fights;
+ *   progress is kept across restarts
+ * - Every battle is recorded; replays export as JSON and play back with the
+ *   same animations (play/pause, step, speed)
+ *
+ * Combat rules live in ./battle (headless, pure BattleState -> { state, events });
+ * this file only renders the state and replays the emitted events as animations.
  *
  * How to use:
+ * - Pick a battlefield, your squad, the turn order and the AI difficulty on
+ *   the setup screen.
  * - Click a player unit to select.
- * - Green cells show reachable tiles.
+ * - Green cells show reachable tiles; hovering one previews the exact route.
  * - Click a reachable cell to move; if ends adjacent to an enemy, it attacks.
+ * - Pick an ability or an item in the bar above the board, then a highlighted
+ *   target (Esc cancels). Clicking an ally with a healer selected heals it.
  * - After all player units have moved, click "Конец хода" to pass to AI.
+ *   With initiative the unit up next is selected for you; "Wait" before it
+ *   moves lets it act later in the round, "End the turn" ends its turn.
+ * - "Campaign" on the setup screen opens the world map: pick the squad for the
+ *   next battle, hand out the company's items and fight it; fallen heroes are
+ *   lost once the battle is won, loot goes to the inventory.
+ * - Open with ?seed=<number|text> to replay a battle with identical rolls.
+ * - "Undo" (or Ctrl+Z) takes back plain moves until an attack, ability or turn end.
+ * - "Saves" (top bar or setup screen) stores/loads the battle in named slots.
+ * - "Replay" (top bar or end screen) downloads the battle so far; "Watch replay"
+ *   on the setup screen plays such a file back.
+ * - Online: run `npm run relay` (or "Start a relay" in the desktop app), host a
+ *   lobby and pass its code to the other player.
  */
 
 // --------------------------- Config ---------------------------
-const GRID_COLS = 10;
-const GRID_ROWS = 8;
 const TILE_SIZE = 1.2; // world units
 const MODEL_Y_OFFSET = 0.6; // поднять модель над плиткой (в юнитах мира)
 
 const ATTACK_IMPACT_MS = 100; // delay before damage is applied to match attack animation impact
+const ATTACK_ANIM_MS = 500; // full attack animation (see useAnimationQueue)
 const HEAL_IMPACT_MS = 100; // delay before heal is applied to match heal animation impact
+const HIT_STAGGER_MS = 120; // between units caught by one ability
+const MOVE_STEP_MS = 320; // one hop per tile
+const ENEMY_PAUSE_MS = 1520; // breathing room between enemy units
+const REPLAY_PAUSE_MS = 400; // between replayed actions at 1x
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
 const MODEL_ROT_Y = Math.PI / 2; // поворот модели по оси Y (90°)
 
+// Status effect icons (see battle/effects.js)
+const STATUS_ICON = {
+  poison: "☠️",
+  burn: "🔥",
+  stun: "💫",
+  shield: "🔰",
+  regen: "💚",
+};
+
 // Death animation timing
 const DEATH_FALL_SEC = 0.4; // time to fall over
 const DEATH_FADE_SEC = 0.4; // time to dissolve after falling
 const DEATH_REMOVE_MS = Math.round((DEATH_FALL_SEC + DEATH_FADE_SEC) * 1000);
 
-// Example models (public/*) — make paths relative to BASE_URL for Electron file://
+// Asset paths are relative to BASE_URL so they also work from file:// in Electron.
+// Unit models and stats come from public/scenarios/*.json (see ./scenarios.js).
 const BASE = import.meta.env.BASE_URL || './'
-const PLAYER_HERO = `${BASE}models/angel.glb`; // main player model
-const PLAYER_KNIGHT = `${BASE}models/knight.glb`;
-const PLAYER_ARCHER = `${BASE}models/archer.glb`;
-const PLAYER_MAGE = `${BASE}models/mage.glb`;
-const PLAYER_RIDER = `${BASE}models/rider.glb`;
-
-const ENEMY_DARK_KING = `${BASE}models/devil-king.glb`;
-const ENEMY_ASSASSIN = `${BASE}models/assassin.glb`;
-const ENEMY_DEVIL = `${BASE}models/devil.glb`;
-const ENEMY_SKUL = `${BASE}models/skul.glb`;
 
 // Main soundtrack (place your file in /public/audio)
 const MUSIC_URL = `${BASE}audio/battle.mp3`;
@@ -77,47 +205,24 @@ const SFX_VICTORY = `${BASE}audio/victory.mp3`;
 const SFX_FAIL = `${BASE}audio/fail.mp3`;
 const SFX_TURN = `${BASE}audio/turn.mp3`;
 
-// Utility helpers
-const key = (x, y) => `${x},${y}`;
-const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
-// Check adjacency (4-directional)
-
-const neighbors4 = (p) => [
-  { x: p.x + 1, y: p.y },
-  { x: p.x - 1, y: p.y },
-  { x: p.x, y: p.y + 1 },
-  { x: p.x, y: p.y - 1 },
-];
-
-// Random integer helper (inclusive)
-const randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-
-// BFS for movement range (no obstacles through units, but you can step on empty cells)
-function reachable(start, maxSteps, occupied) {
-  const frontier = [{ ...start, d: 0 }];
-  const seen = new Set([key(start.x, start.y)]);
-  const out = new Set();
-  while (frontier.length) {
-    const cur = frontier.shift();
-    if (cur.d > 0) out.add(key(cur.x, cur.y));
-    if (cur.d === maxSteps) continue;
-    for (const n of neighbors4(cur)) {
-      const nk = key(n.x, n.y);
-      if (
-        n.x < 0 ||
-        n.y < 0 ||
-        n.x >= GRID_COLS ||
-        n.y >= GRID_ROWS ||
-        seen.has(nk) ||
-        occupied.has(nk)
-      )
-        continue;
-      seen.add(nk);
-      frontier.push({ ...n, d: cur.d + 1 });
-    }
-  }
-  return out;
-}
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// `?seed=` pins the battle RNG so bug reports and balance tests replay identically
+const urlSeed = () =>
+  parseSeed(new URLSearchParams(window.location.search).get("seed"));
+
+const seedUrl = (seed) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", String(seed));
+  return url.toString();
+};
+
+const directionBetween = (from, to) => {
+  const dx = to.x - from.x;
+  const dz = to.y - from.y;
+  const len = Math.max(1e-6, Math.hypot(dx, dz));
+  return { x: dx / len, z: dz / len };
+};
 
 // --------------------------- Models ---------------------------
 function FallbackMesh({ color = "#4ade80" }) {
@@ -184,7 +289,10 @@ function Unit({
   isHoveredEnemy,
   isHealableAlly,
   isHoveredAlly,
+  isBlockedTarget,
+  isOpponent,
   hitReaction,
+  forecast,
   floatTexts = [],
 }) {
   const ref = useRef();
@@ -398,9 +506,9 @@ function Unit({
           url={unit.modelUrl}
           color={unit.team === "player" ? "#22c55e" : "#ef4444"}
           tintColor={
-            unit.team === "enemy" && isHoveredEnemy && isAttackableEnemy
+            isHoveredEnemy && isAttackableEnemy
               ? "#ef4444"
-              : unit.team === "player" && isHoveredAlly && isHealableAlly
+              : isHoveredAlly && isHealableAlly
               ? "#86efac"
               : null
           }
@@ -414,6 +522,8 @@ function Unit({
             color={
               isAttackableEnemy && isHoveredEnemy
                 ? "#ef4444"
+                : isBlockedTarget && isHoveredEnemy
+                ? "#f59e0b"
                 : isHealableAlly && isHoveredAlly
                 ? "#22c55e"
                 : isSelected
@@ -425,7 +535,7 @@ function Unit({
           />
         </mesh>
       )}
-      {unit.team === "enemy" && !(unit.dying && unit.hp <= 0) && (
+      {isOpponent && !(unit.dying && unit.hp <= 0) && (
         <mesh
           position={[0, 0.4, 0]}
           onPointerOver={onPointerOver}
@@ -435,6 +545,58 @@ function Unit({
           <meshBasicMaterial transparent opacity={0} depthWrite={false} />
         </mesh>
       )}
+      {/* Defensive stance and status effect markers */}
+      {(unit.defending || unit.effects?.length > 0) &&
+        !(unit.dying && unit.hp <= 0) && (
+          <Html
+            position={[0, (unit.modelOffsetY ?? MODEL_Y_OFFSET) + 1.3, 0]}
+            center
+          >
+            <div
+              style={{ pointerEvents: "none" }}
+              className="flex gap-0.5 text-lg whitespace-nowrap"
+            >
+              {unit.defending && <span title="Defending">🛡</span>}
+              <StatusIcons effects={unit.effects} />
+            </div>
+          </Html>
+        )}
+      {/* Out-of-sight marker for ranged attackers */}
+      {isBlockedTarget && isHoveredEnemy && !(unit.dying && unit.hp <= 0) && (
+        <Html
+          position={[0, (unit.modelOffsetY ?? MODEL_Y_OFFSET) + 1.3, 0]}
+          center
+        >
+          <div
+            style={{ pointerEvents: "none" }}
+            className="px-2 py-1 rounded-lg text-xs font-semibold shadow-md bg-amber-500/90 text-black whitespace-nowrap"
+          >
+            🚫 Blocked
+          </div>
+        </Html>
+      )}
+      {/* Attack forecast for the hovered target */}
+      {forecast && !(unit.dying && unit.hp <= 0) && (
+        <Html
+          position={[0, (unit.modelOffsetY ?? MODEL_Y_OFFSET) + 1.8, 0]}
+          center
+        >
+          <ForecastTip odds={forecast} target={unit} />
+        </Html>
+      )}
+      {/* Creatures left in a stack */}
+      {isStack(unit) && !(unit.dying && unit.hp <= 0) && (
+        <Html position={[0.45, 0.15, 0.45]} center>
+          <div
+            style={{ pointerEvents: "none" }}
+            className={`px-1.5 rounded-md text-xs font-bold shadow-md text-white ${
+              unit.team === "player" ? "bg-emerald-700/90" : "bg-rose-700/90"
+            }`}
+          >
+            {creaturesLeft(unit)}
+          </div>
+        </Html>
+      )}
       {/* Floating HP text */}
       {floatTexts.map((ft) => (
         <Html
@@ -452,6 +614,8 @@ function Unit({
             className={`px-2 py-1 rounded-lg text-sm shadow-md ${
               ft.kind === "heal"
                 ? "bg-emerald-600/80 text-white"
+                : ft.kind === "crit"
+                ? "bg-amber-500/90 text-black"
                 : "bg-rose-600/80 text-white"
             }`}
           >
@@ -465,31 +629,252 @@ function Unit({
   );
 }
 
+const percent = (p) => `${Math.round(p * 100)}%`;
+const span = (lo, hi) => (lo === hi ? `${lo}` : `${lo}–${hi}`);
+
+// Hit chance, damage range (crit best in brackets) and kill chance of a strike,
+// the creatures it takes out of a stack, plus the retaliation it draws
+function ForecastTip({ odds, target }) {
+  const { counter } = odds;
+  const left = creaturesLeft(target);
+  const fallen = (damage) => creaturesLost(target, damage);
+  return (
+    <div
+      style={{ pointerEvents: "none" }}
+      className="px-2 py-1 rounded-lg text-xs shadow-md bg-slate-900/90 text-white whitespace-nowrap space-y-0.5"
+    >
+      <div>
+        🎯 {percent(odds.hit)} • ⚔ {span(odds.min, odds.max)} dmg
+      </div>
+      <div className="opacity-80">
+        💥 {percent(odds.crit)} crit ({odds.critMax}) • ☠ {percent(odds.kill)}{" "}
+        kill
+      </div>
+      {isStack(target) && (
+        <div className="opacity-80">
+          🪦 {span(fallen(odds.min), fallen(odds.max))} of {left} fall
+        </div>
+      )}
+      {counter && (
+        <div className="text-amber-300">
+          ↩ Strikes back {percent(counter.chance)}: 🎯 {percent(counter.hit)} •
+          ⚔ {span(counter.min, counter.max)} • ☠ {percent(counter.kill)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A tick or expire event's effect: the timed one, or the item's passive one
+const sameEffect = (e, ev) => e.kind === ev.kind && !e.passive === !ev.passive;
+const effectKey = (e) => `${e.kind}${e.passive ? "-passive" : ""}`;
+
+// Icons for a unit's status effects, with the turns they have left (passives
+// from worn items never run out)
+function StatusIcons({ effects = [] }) {
+  return effects.map((e) => (
+    <span
+      key={effectKey(e)}
+      title={`${STATUS_EFFECTS[e.kind]?.label ?? e.kind}: ${
+        e.turns == null
+          ? "from an item"
+          : `${e.turns} turn${e.turns === 1 ? "" : "s"} left`
+      }`}
+    >
+      {STATUS_ICON[e.kind] ?? "❔"}
+    </span>
+  ));
+}
+
+// Worn items, then the consumables still carried
+function GearIcons({ unit, items = {} }) {
+  const worn = (unit.gear ?? []).filter((id) => isWorn(items[id]));
+  return [...worn, ...(unit.items ?? [])].map((id, i) => (
+    <span
+      key={`${id}-${i}`}
+      title={`${items[id]?.name ?? id}${
+        items[id]?.description ? `: ${items[id].description}` : ""
+      }`}
+    >
+      {items[id]?.icon ?? "🎒"}
+    </span>
+  ));
+}
+
+// --------------------------- Initiative bar ---------------------------
+const INITIATIVE_SHOWN = 10; // portraits in the bar
+const TEAM_RING = { player: "ring-emerald-400", enemy: "ring-rose-400" };
+
+// Initiative battles: the rest of the round, the unit up next first, then the
+// start of the next round
+function InitiativeBar({ battle, teamLabel }) {
+  const upcoming = (ids, round) =>
+    ids
+      .map((id) => getUnit(battle, id))
+      .filter(Boolean)
+      .map((u) => ({ u, round }));
+  const shown = [
+    ...upcoming(battle.queue, battle.round),
+    ...upcoming(initiativeOrder(battle), battle.round + 1),
+  ].slice(0, INITIATIVE_SHOWN);
+  return (
+    <div className="flex items-center gap-1.5">
+      {shown.map(({ u, round }, i) => (
+        <React.Fragment key={`${round}-${u.id}`}>
+          {round > battle.round && shown[i - 1]?.round === battle.round && (
+            <span className="mx-1 text-xs opacity-60">R{round}</span>
+          )}
+          <div
+            className={`relative flex items-center justify-center rounded-full bg-slate-800 ring-2 ${
+              TEAM_RING[u.team]
+            } ${
+              i === 0 ? "w-10 h-10 text-xl" : "w-8 h-8 text-base opacity-80"
+            }`}
+            title={`${u.name} (${teamLabel(u.team)}), speed ${speedOf(u)}${
+              u.waited && round === battle.round ? ", waiting" : ""
+            }`}
+          >
+            {u.portrait || u.name[0]}
+            {u.waited && round === battle.round && (
+              <span className="absolute -bottom-1 -right-1 text-xs">⏳</span>
+            )}
+          </div>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
 // --------------------------- Grid & Highlight ---------------------------
-function Grid({ onTileClick, highlights, occupiedMap }) {
+// Tile look per terrain type; `lift` raises units standing on the tile
+const TERRAIN_LOOK = {
+  plain: { color: "#16191E", highlight: "#222C26", height: 0.1, lift: 0 },
+  water: { color: "#0c3b5a", highlight: "#12506b", height: 0.06, lift: -0.02 },
+  forest: { color: "#14261b", highlight: "#1d3b28", height: 0.1, lift: 0 },
+  high: { color: "#3a352e", highlight: "#46503c", height: 0.35, lift: 0.25 },
+  swamp: { color: "#26301a", highlight: "#34442a", height: 0.08, lift: -0.01 },
+  wall: { color: "#16191E", highlight: "#16191E", height: 0.1, lift: 0 },
+  rock: { color: "#16191E", highlight: "#16191E", height: 0.1, lift: 0 },
+};
+
+const terrainLook = (board, p) =>
+  TERRAIN_LOOK[terrainAt(board, p)] ?? TERRAIN_LOOK.plain;
+
+const worldFromGrid = (board, x, y) =>
+  new THREE.Vector3(
+    (x - board.cols / 2 + 0.5) * TILE_SIZE,
+    terrainLook(board, { x, y }).lift,
+    (y - board.rows / 2 + 0.5) * TILE_SIZE
+  );
+
+function TerrainDecor({ type }) {
+  if (type === "wall")
+    return (
+      <mesh castShadow receiveShadow position={[0, 0.45, 0]}>
+        <boxGeometry args={[TILE_SIZE * 0.92, 0.8, TILE_SIZE * 0.92]} />
+        <meshStandardMaterial color="#475569" roughness={0.9} />
+      </mesh>
+    );
+  if (type === "rock")
+    return (
+      <mesh castShadow receiveShadow position={[0, 0.3, 0]} scale={[1, 0.7, 1]}>
+        <dodecahedronGeometry args={[0.45, 0]} />
+        <meshStandardMaterial color="#57534e" roughness={1} flatShading />
+      </mesh>
+    );
+  if (type === "swamp")
+    return (
+      <>
+        {[
+          [-0.3, 0.2],
+          [-0.22, 0.3],
+          [0.28, -0.26],
+        ].map(([tx, tz]) => (
+          <mesh key={`${tx}`} position={[tx, 0.15, tz]}>
+            <cylinderGeometry args={[0.02, 0.02, 0.3, 4]} />
+            <meshStandardMaterial color="#65a30d" />
+          </mesh>
+        ))}
+      </>
+    );
+  if (type === "forest")
+    return (
+      <>
+        {[
+          [-0.32, -0.3],
+          [0.34, 0.28],
+        ].map(([tx, tz]) => (
+          <mesh key={`${tx}`} castShadow position={[tx, 0.3, tz]}>
+            <coneGeometry args={[0.16, 0.5, 8]} />
+            <meshStandardMaterial color="#166534" />
+          </mesh>
+        ))}
+      </>
+    );
+  return null;
+}
+
+// Ability targeting overlay: tiles it can be aimed at, and the area it would hit
+const TARGET_COLOR = "#b45309";
+const AREA_COLOR = "#f97316";
+const NO_TILES = new Set();
+
+function Grid({
+  board,
+  onTileClick,
+  onTileHover,
+  highlights,
+  occupiedMap,
+  previewPath,
+  sightLine,
+  targetTiles,
+  areaTiles,
+}) {
   const tiles = [];
-  for (let y = 0; y < GRID_ROWS; y++) {
-    for (let x = 0; x < GRID_COLS; x++) {
-      const worldX = (x - GRID_COLS / 2 + 0.5) * TILE_SIZE;
-      const worldZ = (y - GRID_ROWS / 2 + 0.5) * TILE_SIZE;
+  for (let y = 0; y < board.rows; y++) {
+    for (let x = 0; x < board.cols; x++) {
+      const worldX = (x - board.cols / 2 + 0.5) * TILE_SIZE;
+      const worldZ = (y - board.rows / 2 + 0.5) * TILE_SIZE;
       const k = key(x, y);
       const isHighlight = highlights.has(k);
+      const isTarget = targetTiles?.has(k);
+      const inArea = areaTiles?.has(k);
       const isOccupied = occupiedMap.has(k);
+      const type = terrainAt(board, { x, y });
+      const look = terrainLook(board, { x, y });
       tiles.push(
         <group key={k} position={[worldX, 0, worldZ]}>
           <mesh
             receiveShadow
+            position={[0, (look.height - 0.1) / 2, 0]}
             onClick={(e) => {
               e.stopPropagation();
               onTileClick({ x, y });
             }}
+            onPointerOver={() => onTileHover && onTileHover({ x, y })}
+            onPointerOut={() => onTileHover && onTileHover(null)}
           >
-            <boxGeometry args={[TILE_SIZE * 0.98, 0.1, TILE_SIZE * 0.98]} />
-            <meshStandardMaterial color={isHighlight ? "#222C26" : "#16191E"} />
+            <boxGeometry
+              args={[TILE_SIZE * 0.98, look.height, TILE_SIZE * 0.98]}
+            />
+            <meshStandardMaterial
+              color={
+                inArea
+                  ? AREA_COLOR
+                  : isTarget
+                  ? TARGET_COLOR
+                  : isHighlight
+                  ? look.highlight
+                  : look.color
+              }
+              transparent={type === "water"}
+              opacity={type === "water" ? 0.85 : 1}
+            />
           </mesh>
+          <TerrainDecor type={type} />
           {/* Occupied dot indicator */}
           {isOccupied && (
-            <mesh position={[0, 0.11, 0]}>
+            <mesh position={[0, 0.11 + look.lift, 0]}>
               <cylinderGeometry args={[0.05, 0.05, 0.02, 12]} />
               <meshStandardMaterial color="#94a3b8" />
             </mesh>
@@ -498,7 +883,44 @@ function Grid({ onTileClick, highlights, occupiedMap }) {
       );
     }
   }
-  return <group>{tiles}</group>;
+  const overlayPoint = (p, y) => [
+    (p.x - board.cols / 2 + 0.5) * TILE_SIZE,
+    y + terrainLook(board, p).lift,
+    (p.y - board.rows / 2 + 0.5) * TILE_SIZE,
+  ];
+  // Hover preview of the exact hop-by-hop route the unit will take
+  const pathPoints =
+    previewPath && previewPath.length > 1
+      ? previewPath.map((p) => overlayPoint(p, 0.12))
+      : null;
+  // Blocked shot: shooter -> first tile in the way
+  const sightPoints = sightLine
+    ? sightLine.map((p) => overlayPoint(p, 0.5))
+    : null;
+  return (
+    <group>
+      {tiles}
+      {pathPoints && (
+        <>
+          <Line points={pathPoints} color="#4ade80" lineWidth={3} />
+          <mesh position={pathPoints[pathPoints.length - 1]}>
+            <cylinderGeometry args={[0.12, 0.12, 0.02, 16]} />
+            <meshBasicMaterial color="#4ade80" />
+          </mesh>
+        </>
+      )}
+      {sightPoints && (
+        <Line
+          points={sightPoints}
+          color="#f59e0b"
+          lineWidth={2}
+          dashed
+          dashSize={0.15}
+          gapSize={0.1}
+        />
+      )}
+    </group>
+  );
 }
 
 // --------------------------- Intro Cinematic ---------------------------
@@ -570,137 +992,113 @@ function IntroCinematic({
   return null;
 }
 
-// --------------------------- Main Game ---------------------------
-const initialUnits = () => {
-  // Two simple squads
-  const players = [
-    {
-      id: "hero",
-      team: "player",
-      classType: "melee",
-      x: 0,
-      y: 4,
-      hp: 20,
-      maxHp: 20,
-      atk: 10,
-      move: 1,
-      modelUrl: PLAYER_HERO,
-      hasActed: false,
-    },
-    {
-      id: "knight",
-      team: "player",
-      classType: "melee",
-      x: 1,
-      y: 5,
-      hp: 10,
-      maxHp: 10,
-      atk: 4,
-      move: 3,
-      modelUrl: PLAYER_KNIGHT,
-      hasActed: false,
-    },
-    {
-      id: "rider",
-      team: "player",
-      classType: "melee",
-      x: 1,
-      y: 3,
-      hp: 10,
-      maxHp: 10,
-      atk: 4,
-      move: 8,
-      modelUrl: PLAYER_RIDER,
-      hasActed: false,
-    },
-    {
-      id: "mage",
-      team: "player",
-      classType: "ranged",
-      x: 0,
-      y: 2,
-      hp: 10,
-      maxHp: 10,
-      atk: 4,
-      move: 2,
-      attackRange: 8,
-      modelUrl: PLAYER_MAGE,
-      hasActed: false,
-    },
-    {
-      id: "archer",
-      team: "player",
-      classType: "ranged",
-      x: 0,
-      y: 6,
-      hp: 10,
-      maxHp: 10,
-      atk: 3,
-      move: 3,
-      attackRange: 3,
-      modelUrl: PLAYER_ARCHER,
-      hasActed: false,
-    },
-  ];
-  const enemies = [
-    {
-      id: "e0",
-      team: "enemy",
-      classType: "melee",
-      x: GRID_COLS - 1,
-      y: 3,
-      hp: 20,
-      maxHp: 20,
-      atk: 10,
-      move: 1,
-      modelUrl: ENEMY_DARK_KING,
-      hasActed: false,
-    },
-    {
-      id: "e1",
-      team: "enemy",
-      classType: "melee",
-      x: GRID_COLS - 2,
-      y: 2,
-      hp: 4,
-      maxHp: 4,
-      atk: 3,
-      move: 3,
-      modelUrl: ENEMY_ASSASSIN,
-      hasActed: false,
-    },
-    {
-      id: "e2",
-      team: "enemy",
-      classType: "melee",
-      x: GRID_COLS - 2,
-      y: 4,
-      hp: 15,
-      maxHp: 15,
-      atk: 10,
-      move: 1,
-      modelUrl: ENEMY_DEVIL,
-      hasActed: false,
-    },
-    {
-      id: "e3",
-      team: "enemy",
-      classType: "ranged",
-      x: GRID_COLS - 1,
-      y: 5,
-      hp: 15,
-      maxHp: 15,
-      atk: 3,
-      move: 1,
-      attackRange: 4,
-      modelUrl: ENEMY_SKUL,
-      hasActed: false,
-    },
-  ];
-  return [...players, ...enemies];
+// Hot-seat: swing the camera around the arena to the side about to move
+// (the player side looks from +z, like the default camera)
+const SWING_MS = 900;
+
+function SideCamera({ flipped, enabled }) {
+  const { camera } = useThree();
+  const swingRef = useRef(null); // { started, from } (angle around the y axis)
+
+  useEffect(() => {
+    if (!enabled || camera.position.z < 0 === flipped) return;
+    swingRef.current = {
+      started: performance.now(),
+      from: Math.atan2(camera.position.x, camera.position.z),
+    };
+  }, [flipped, enabled, camera]);
+
+  useFrame(() => {
+    const swing = swingRef.current;
+    if (!swing) return;
+    const t = Math.min(1, (performance.now() - swing.started) / SWING_MS);
+    const ease = 1 - Math.pow(1 - t, 3);
+    const angle = swing.from + Math.PI * ease;
+    const radius = Math.hypot(camera.position.x, camera.position.z);
+    camera.position.set(
+      radius * Math.sin(angle),
+      camera.position.y,
+      radius * Math.cos(angle)
+    );
+    camera.lookAt(0, 0, 0);
+    if (t >= 1) swingRef.current = null;
+  });
+
+  return null;
+}
+
+// Side names in the HUD: against the AI, or two people sharing the machine
+const TEAM_LABEL = {
+  ai: { player: "Player", enemy: "Opponent" },
+  hotseat: { player: "Player 1", enemy: "Player 2" },
+};
+
+// Online: what is wrong with the connection, if anything
+const netNotice = (net) => {
+  if (net.desync != null)
+    return `Out of sync with the other player since action ${net.desync}. Please restart the game.`;
+  if (net.peer === "left") return net.error ?? "The other player left";
+  if (net.status === "reconnecting") return "Connection lost, reconnecting...";
+  if (net.status === "closed") return "Disconnected from the relay";
+  if (net.peer === "away")
+    return "The other player disconnected, waiting for them to return...";
+  return null;
+};
+
+// HUD card suffix for the hero's move/action phase (with initiative, units
+// still queued behind the active one have not had their turn this round)
+const phaseLabel = (u, battle) => {
+  const queued = battle.initiative && battle.queue.indexOf(u.id) > 0;
+  if (queued) return u.waited ? "• Waiting" : "";
+  if (u.stunned) return "• Stunned";
+  if (u.defending) return "• Defending";
+  if (u.hasActed) return "• Done";
+  if (u.hasMoved) return "• Moved";
+  return "";
 };
 
-function useAnimationQueue() {
+// --------------------------- Main Game ---------------------------
+// Setup-screen choice -> fresh BattleState (seed from ?seed= if given; online
+// guests take the host's). Campaign battles field the campaign's heroes.
+const newBattle = (
+  { scenario, roster, squad, difficulty, initiative, campaign },
+  seed = urlSeed()
+) =>
+  createScenarioBattle(scenario, roster, {
+    seed,
+    assetBase: ASSET_BASE,
+    squad,
+    difficulty,
+    initiative,
+    ...(campaign && { adjust: campaignAdjust(roster, campaign.progress) }),
+  });
+
+// What a save needs to rebuild the setup choice (scenario data comes from the
+// catalog; a campaign battle only resumes while the campaign is still there)
+const saveSetup = ({
+  scenarioId,
+  squad,
+  difficulty,
+  mode,
+  initiative,
+  campaign,
+}) => ({
+  scenarioId,
+  squad,
+  difficulty,
+  mode,
+  initiative: !!initiative,
+  ...(campaign && { campaignStage: campaign.stage }),
+});
+
+// Warm the GLTF cache so the loading overlay also waits for unit models
+const preloadModels = (state) =>
+  new Set(state.units.map((u) => u.modelUrl).filter(Boolean)).forEach((url) =>
+    useGLTF.preload(url)
+  );
+
+// `speedRef.current` scales every duration (replays played faster or slower)
+function useAnimationQueue(speedRef) {
   const [queue, setQueue] = useState([]); // items: { type: 'move'|'attack'|'heal', unitId, to?, targetId? }
   const [animState, setAnimState] = useState({}); // unitId -> {type}
 
@@ -719,7 +1117,7 @@ function useAnimationQueue() {
       const wait = (ms) => new Promise((r) => setTimeout(r, ms));
       const defaultDur =
         step.type === "move" ? 600 : step.type === "attack" ? 500 : 500;
-      const dur = step.durationMs ?? defaultDur;
+      const dur = (step.durationMs ?? defaultDur) / speedRef.current;
       await wait(dur);
       if (cancelled) return;
       setAnimState((s) => ({ ...s, [step.unitId]: { type: "idle" } }));
@@ -729,19 +1127,70 @@ function useAnimationQueue() {
     return () => {
       cancelled = true;
     };
-  }, [queue]);
+  }, [queue, speedRef]);
 
   return { enqueue, animStateById: animState, isBusy: queue.length > 0 };
 }
 
 export default function App() {
-  const [units, setUnits] = useState(initialUnits);
-  const [turn, setTurn] = useState(null);
+  // Authoritative rules state (see ./battle) + a ref that is never stale in async loops
+  // Empty until the scenario files are loaded
+  const [battle, setBattle] = useState(() => createBattleState([]));
+  const battleRef = useRef(battle);
+  // What is on screen: trails the rules state while events are replayed, keeps corpses
+  const [units, setUnits] = useState(() => battle.units);
+  const [playing, setPlaying] = useState(false);
+  const [started, setStarted] = useState(false); // false until the intro has finished
   const [selectedId, setSelectedId] = useState(null);
-  const [reach, setReach] = useState(new Set());
-  const [log, setLog] = useState(null); // victory/defeat text
+  const [outcome, setOutcome] = useState(null); // victory/defeat text (end-of-battle overlay)
+  const [combatLog, setCombatLog] = useState([]); // { id, round, team, text }
+  const [logOpen, setLogOpen] = useState(true);
+  const logIdRef = useRef(0);
+  const [catalog, setCatalog] = useState(null); // { ids, scenarios, roster }
+  const [setup, setSetup] = useState(null); // setup-screen choice for the current battle
+  const [lastSetup, setLastSetup] = useState(null); // preselects the setup screen
+  const turn = started ? battle.turn : null;
+  // Replay being watched: { replay, cursor, paused, speed, error }
+  const [playback, setPlayback] = useState(null);
+  const speedRef = useRef(1); // playback speed for animations and pauses
+  const replayRef = useRef(null); // recording of the battle being played
+  const mode = playback ? "replay" : setup?.mode ?? "ai";
+  const hotSeat = mode === "hotseat";
+  // Online connection: { role, code, status, peer, error, desync } while a
+  // lobby is open or an online battle runs
+  const [net, setNet] = useState(null);
+  const online = mode === "online";
+  const watching = !!playback;
+  const myTeam = online ? teamOfRole(net?.role) : "player";
+  // Side the person at the keyboard commands right now (null while the AI or
+  // the remote player moves)
+  const humanTeam =
+    turn && !playback && (hotSeat || turn === myTeam) ? turn : null;
+  const opponentTeam = humanTeam && otherTeam(humanTeam);
+  const teamLabel = (team) =>
+    online
+      ? team === myTeam
+        ? "You"
+        : "Opponent"
+      : TEAM_LABEL[hotSeat ? "hotseat" : "ai"][team];
+  const [loadError, setLoadError] = useState(null);
+  const [savesOpen, setSavesOpen] = useState(false);
+  // Campaign: stored progress (null until begun), the report of the last won
+  // battle and whether the world map is open
+  const [campaignOpen, setCampaignOpen] = useState(false);
+  const [campaignProgress, setCampaignProgress] = useState(null);
+  const [campaignReport, setCampaignReport] = useState(null);
+  const [campaignError, setCampaignError] = useState(null);
+  const campaignFight = !!setup?.campaign && !watching;
+  const campaignWin = campaignFight && battle.winner === "player";
+  const [undoStack, setUndoStack] = useState([]); // { state, unitId } before each plain move this turn
+  const autosavedRef = useRef(null); // "<seed>-<round>" of the last autosave
   const [hoveredEnemyId, setHoveredEnemyId] = useState(null);
+  const [hoveredTile, setHoveredTile] = useState(null);
   const [hoveredAllyId, setHoveredAllyId] = useState(null);
+  const [armed, setArmed] = useState(null); // { unitId, cast } picked in the ability bar (cast: { abilityId } | { itemId })
+  const [areaFlash, setAreaFlash] = useState(null); // tile keys of the ability being cast
+  const castRef = useRef(null); // last "ability" event, aims the hits after it
   const audioRef = useRef(null);
   const [musicOn, setMusicOn] = useState(true);
   // Intro starts only after all assets (models + audio) are ready
@@ -813,6 +1262,13 @@ export default function App() {
 
   const controlsRef = useRef(null);
   const enemyAIRunningRef = useRef(false);
+  const dispatchRef = useRef(null); // latest dispatch for the AI turn
+  const stepReplayRef = useRef(null); // latest stepReplay for the playback timer
+  const netRef = useRef(null); // relay client
+  const netIndexRef = useRef(0); // online actions sent (host) / applied (guest)
+  const netChainRef = useRef(Promise.resolve()); // online actions run one at a time
+  const netHandlerRef = useRef(null); // latest payload handler for the relay callback
+  const [netPending, setNetPending] = useState(false); // guest: intent awaits the host
   // Track three.js loading progress (GLTFs, HDRI, etc.)
   const { active: loadingActive, progress } = useProgress();
 
@@ -825,7 +1281,11 @@ export default function App() {
       clearTimeout(bannerTimerRef.current);
       bannerTimerRef.current = null;
     }
-    setTurnBanner(whoseTurn === "player" ? "PLAYER'S TURN" : "OPPONENT'S TURN");
+    setTurnBanner(
+      online && whoseTurn === myTeam
+        ? "YOUR TURN"
+        : `${teamLabel(whoseTurn).toUpperCase()}'S TURN`
+    );
     bannerTimerRef.current = setTimeout(() => {
       setTurnBanner(null);
       bannerTimerRef.current = null;
@@ -838,10 +1298,35 @@ export default function App() {
     showTurnBanner(turn);
   }, [turn, intro]);
 
-  // When all three assets finished loading (no pending loaders), mark as ready
+  // Load the roster and every scenario listed in public/scenarios/index.json
   useEffect(() => {
-    if (!loadingActive) setAssetsReady(true);
-  }, [loadingActive]);
+    let cancelled = false;
+    loadCatalog()
+      .then(async (c) => {
+        if (cancelled) return;
+        setCatalog(c);
+        try {
+          const stored = await readCampaign(c.campaign, c.roster);
+          if (!cancelled) setCampaignProgress(stored);
+        } catch (e) {
+          console.warn("Ignoring stored campaign", e);
+          if (!cancelled)
+            setCampaignError(`Stored campaign ignored: ${e.message}`);
+        }
+      })
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setLoadError(e);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // When the scenario and all three assets finished loading (no pending loaders), mark as ready
+  useEffect(() => {
+    if (setup && !loadingActive) setAssetsReady(true);
+  }, [setup, loadingActive]);
 
   // Wait for audio to be decodable & bufferable enough, then allow intro start
   useEffect(() => {
@@ -867,14 +1352,14 @@ export default function App() {
     return () => a.removeEventListener("canplaythrough", ready);
   }, [assetsReady]);
 
-  // Kick off intro + music only once everything is ready
+  // Kick off intro + music only once everything is ready and a battle was chosen
   useEffect(() => {
-    if (!canStartIntro) return;
+    if (!canStartIntro || !setup) return;
     setIntro(true);
     startMusicOnce(true);
-  }, [canStartIntro]);
+  }, [canStartIntro, setup]);
 
-  const { enqueue, animStateById, isBusy } = useAnimationQueue();
+  const { enqueue, animStateById, isBusy } = useAnimationQueue(speedRef);
   const pushFloatText = (unitId, kind, amount) => {
     const id = `${unitId}-${Date.now()}-${Math.random()
       .toString(36)
@@ -958,499 +1443,1075 @@ export default function App() {
     return () => window.removeEventListener("pointerdown", unlock);
   }, [canStartIntro, sfx]);
 
+  // Occupied-dot indicator follows what is on screen (corpses excluded)
   const occupied = useMemo(() => {
     const s = new Set();
-    units.forEach((u) => s.add(key(u.x, u.y)));
+    units.forEach((u) => !u.dying && s.add(key(u.x, u.y)));
     return s;
   }, [units]);
 
-  const unitMap = useMemo(() => {
-    const m = new Map();
-    units.forEach((u) => m.set(u.id, u));
-    return m;
-  }, [units]);
-
   const playerFocus = useMemo(() => {
     const ps = units.filter((u) => u.team === "player");
     if (ps.length === 0) return new THREE.Vector3(-3, 0, 0);
     const avg = ps.reduce(
-      (acc, u) => acc.add(worldFromGrid(u.x, u.y)),
+      (acc, u) => acc.add(worldFromGrid(battle.board, u.x, u.y)),
       new THREE.Vector3()
     );
     avg.multiplyScalar(1 / ps.length);
     return avg;
-  }, [units]);
+  }, [units, battle.board]);
 
   const enemyFocus = useMemo(() => {
     const es = units.filter((u) => u.team === "enemy");
     if (es.length === 0) return new THREE.Vector3(3, 0, 0);
     const avg = es.reduce(
-      (acc, u) => acc.add(worldFromGrid(u.x, u.y)),
+      (acc, u) => acc.add(worldFromGrid(battle.board, u.x, u.y)),
       new THREE.Vector3()
     );
     avg.multiplyScalar(1 / es.length);
     return avg;
-  }, [units]);
+  }, [units, battle.board]);
 
-  const selected = selectedId ? unitMap.get(selectedId) : null;
-
-  // Memoized: can the currently selected player unit attack this enemy?
-  const canAttackEnemy = (enemy) => {
-    if (!selected) return false;
-    if (turn !== "player") return false;
-    if (selected.team !== "player" || selected.hasActed) return false;
-    if (enemy.team !== "enemy") return false;
-    if (enemy.hp <= 0) return false;
-    const range = selected.attackRange ?? 1;
-    return manhattan(selected, enemy) <= range;
-  };
+  const busy = isBusy || playing || netPending;
+  const selected = selectedId ? getUnit(battle, selectedId) : null;
+  // Initiative battles: the unit whose turn it is
+  const active = started ? activeUnit(battle) : null;
+  const activeId = active?.id;
+  const activeTeam = active?.team;
+  const playerInput = !!humanTeam && !!selected;
+
+  // Can the currently selected player unit attack this enemy from where it stands?
+  const canAttackEnemy = (enemy) =>
+    playerInput && canAttack(battle, selected.id, enemy.id);
 
   // Can the selected unit attack this enemy this turn (immediately or after a melee step)?
-  const canThreatenEnemyThisTurn = (enemy) => {
-    if (!selected) return false;
-    if (turn !== "player") return false;
-    if (selected.team !== "player" || selected.hasActed) return false;
-    if (!enemy || enemy.team !== "enemy") return false;
-    if (enemy.hp <= 0) return false;
-
-    const range = selected.attackRange ?? 1;
-    // Ranged: simple distance check
-    if (!isMeleeUnit(selected)) {
-      return manhattan(selected, enemy) <= range;
-    }
-    // Melee: either already adjacent, or has a reachable tile adjacent to enemy
-    if (manhattan(selected, enemy) <= 1) return true;
-    // Use current "reach" (computed for selected unit considering obstacles)
-    for (const kstr of reach) {
-      const [sx, sy] = kstr.split(",").map(Number);
-      if (Math.abs(sx - enemy.x) + Math.abs(sy - enemy.y) <= 1) return true;
-    }
-    return false;
-  };
+  const canThreatenEnemyThisTurn = (enemy) =>
+    armedCast
+      ? armedTargets.has(key(enemy.x, enemy.y))
+      : canAttackEnemy(enemy) ||
+        (playerInput && !!findAttackApproach(battle, selected.id, enemy.id));
+
+  // Ranged target in range but behind a unit or obstacle: the blocking tile
+  const blockedShotAt = (enemy) =>
+    playerInput ? blockedShot(battle, selected.id, enemy.id) : null;
+
+  // Ability or item armed in the bar for the selected unit, if still usable
+  const armedCast =
+    playerInput &&
+    armed?.unitId === selected.id &&
+    canCast(battle, selected.id, armed.cast)
+      ? armed.cast
+      : null;
+
+  const armedTargets = useMemo(
+    () =>
+      armedCast
+        ? new Set(
+            castTargets(battle, selectedId, armedCast).map((p) => key(p.x, p.y))
+          )
+        : null,
+    [battle, selectedId, armedCast]
+  );
 
-  const isMeleeUnit = (u) => {
-    if (!u) return false;
-    if (u.classType) return u.classType === "melee";
-    const range = u.attackRange ?? 1;
-    return range === 1;
-  };
+  // Without an armed ability, clicking an ally casts the first ready ally ability
+  const quickAid = playerInput
+    ? unitAbilities(battle, selected).find(
+        ([id, a]) =>
+          a.target === "ally" && canUseAbility(battle, selected.id, id)
+      )?.[0]
+    : null;
+
+  const canHealAlly = (ally) =>
+    armedCast
+      ? armedTargets.has(key(ally.x, ally.y))
+      : !!quickAid && canTargetAbility(battle, selected.id, quickAid, ally);
+
+  const reach = useMemo(
+    () =>
+      humanTeam && selectedId ? reachableTiles(battle, selectedId) : new Set(),
+    [battle, selectedId, humanTeam]
+  );
 
-  const canHealAlly = (ally) => {
-    if (!selected) return false;
-    if (turn !== "player") return false;
-    if (selected.team !== "player" || selected.hasActed) return false;
-    // Only mage can heal and not self
-    if (selected.id !== "mage") return false;
-    if (!ally || ally.team !== "player" || ally.id === selected.id)
-      return false;
-    return true;
-  };
+  // Route preview: hovered reachable tile, or the approach tile of a hovered enemy
+  const previewPath = useMemo(() => {
+    if (!humanTeam || !selectedId || busy) return null;
+    let dest =
+      hoveredTile && reach.has(key(hoveredTile.x, hoveredTile.y))
+        ? hoveredTile
+        : null;
+    if (
+      !dest &&
+      hoveredEnemyId &&
+      !canAttack(battle, selectedId, hoveredEnemyId)
+    )
+      dest = findAttackApproach(battle, selectedId, hoveredEnemyId);
+    if (!dest) return null;
+    const path = movePath(battle, selectedId, dest);
+    const from = getUnit(battle, selectedId);
+    return path ? [{ x: from.x, y: from.y }, ...path] : null;
+  }, [battle, selectedId, humanTeam, busy, hoveredTile, hoveredEnemyId, reach]);
+
+  const sightLine = useMemo(() => {
+    if (!humanTeam || !selectedId || !hoveredEnemyId || busy || armedCast)
+      return null;
+    const blocker = blockedShot(battle, selectedId, hoveredEnemyId);
+    const from = getUnit(battle, selectedId);
+    return blocker ? [{ x: from.x, y: from.y }, blocker] : null;
+  }, [battle, selectedId, hoveredEnemyId, humanTeam, busy, armedCast]);
+
+  // Armed ability or item: what it would hit on the hovered unit or tile
+  const aim = useMemo(() => {
+    if (!armedCast || busy) return null;
+    const over =
+      getUnit(battle, hoveredEnemyId) ??
+      getUnit(battle, hoveredAllyId) ??
+      hoveredTile;
+    if (!over || !armedTargets.has(key(over.x, over.y))) return null;
+    const at = { x: over.x, y: over.y };
+    return { at, ...castPreview(battle, selectedId, armedCast, at) };
+  }, [
+    battle,
+    selectedId,
+    armedCast,
+    armedTargets,
+    busy,
+    hoveredEnemyId,
+    hoveredAllyId,
+    hoveredTile,
+  ]);
+
+  const areaKeys = useMemo(() => {
+    const tiles = aim?.tiles ?? areaFlash;
+    return tiles ? new Set(tiles.map((p) => key(p.x, p.y))) : null;
+  }, [aim, areaFlash]);
+
+  // Forecast for the hovered enemy: the armed ability's strike if it would be
+  // caught in it, else the selected unit's attack
+  const hoveredEnemy = playerInput && !busy && getUnit(battle, hoveredEnemyId);
+  const armedAbility = armedCast ? castOf(battle, armedCast) : null;
+  const forecast = !hoveredEnemy
+    ? null
+    : armedAbility
+    ? armedAbility.effect === "damage" &&
+      aim?.hits.some((v) => v.id === hoveredEnemy.id)
+      ? forecastStrike(
+          battle,
+          selected,
+          hoveredEnemy,
+          abilityPower(selected, armedAbility)
+        )
+      : null
+    : canAttackEnemy(hoveredEnemy)
+    ? attackForecast(battle, selected, hoveredEnemy)
+    : canThreatenEnemyThisTurn(hoveredEnemy)
+    ? attackForecast(
+        battle,
+        selected,
+        hoveredEnemy,
+        findAttackApproach(battle, selected.id, hoveredEnemy.id)
+      )
+    : null;
 
+  // Check victory/defeat once the last blow has been animated
   useEffect(() => {
-    // Update reach when selection changes
-    if (selected && turn === "player" && !selected.hasActed) {
-      const occ = new Set(occupied);
-      occ.delete(key(selected.x, selected.y));
-      setReach(reachable({ x: selected.x, y: selected.y }, selected.move, occ));
-    } else setReach(new Set());
-  }, [selectedId, units, turn]);
-
-  // Check victory/defeat
-  useEffect(() => {
-    const playersAlive = units.some((u) => u.team === "player" && u.hp > 0);
-    const enemiesAlive = units.some((u) => u.team === "enemy" && u.hp > 0);
-    if (!playersAlive && !log) {
-      setLog("Failure!");
+    if (!battle.winner || outcome || busy) return;
+    if (hotSeat || watching) {
+      setOutcome(
+        `${TEAM_LABEL[hotSeat ? "hotseat" : "ai"][battle.winner]} wins!`
+      );
+      setMusicOn(false);
+      playSfx("victory");
+    } else if (battle.winner !== myTeam) {
+      setOutcome("Failure!");
       setMusicOn(false);
       playSfx("fail");
-    } else if (!enemiesAlive && !log) {
-      setLog("Victory!");
+    } else {
+      setOutcome("Victory!");
       setMusicOn(false);
       playSfx("victory");
     }
-  }, [units, log, playSfx]);
+  }, [battle.winner, outcome, busy, hotSeat, watching, myTeam, playSfx]);
 
-  function worldFromGrid(x, y) {
-    return new THREE.Vector3(
-      (x - GRID_COLS / 2 + 0.5) * TILE_SIZE,
-      0,
-      (y - GRID_ROWS / 2 + 0.5) * TILE_SIZE
+  // ---- Event playback: engine events -> animations, SFX and on-screen units ----
+  const patchUnit = (unitId, patch) =>
+    setUnits((prev) =>
+      prev.map((u) => (u.id === unitId ? { ...u, ...patch } : u))
     );
-  }
 
-  // Generalized attack: attacker and explicit target
-  const tryAttack = (attacker, target) => {
-    if (!attacker || !target) return false;
-    const range = attacker.attackRange ?? 1;
-    if (manhattan(attacker, target) > range) return false;
-
-    // Random damage from 0..atk (0 = miss)
-    const damage = randInt(0, attacker.atk ?? 0);
-
-    // Start attack animation immediately, with attackDir
-    {
-      const dx = target.x - attacker.x;
-      const dz = target.y - attacker.y;
-      const len = Math.max(1e-6, Math.hypot(dx, dz));
-      const attackDir = { x: dx / len, z: dz / len };
-      enqueue({ type: "attack", unitId: attacker.id, attackDir });
-    }
+  const pace = (ms) => wait(ms / speedRef.current);
 
-    const willDie = target.hp - damage <= 0;
+  const patchEffects = (unitId, update) =>
+    setUnits((prev) =>
+      prev.map((u) =>
+        u.id === unitId ? { ...u, effects: update(u.effects ?? []) } : u
+      )
+    );
 
-    // Apply damage and reactions at the moment of impact, not before
-    setTimeout(() => {
-      playSfx("hit");
-
-      // Floating damage text with an extra delay
-      setTimeout(() => {
-        pushFloatText(target.id, "damage", damage === 0 ? "miss" : damage);
-      }, 300);
-
-      // Hit reaction (knockback) triggered on impact
-      setHitReactions((prev) => {
-        const dx = target.x - attacker.x;
-        const dz = target.y - attacker.y;
-        const len = Math.max(1e-6, Math.hypot(dx, dz));
-        return {
+  // Floating text for a strike: damage, "blocked" by a shield, or "miss"
+  const hitText = (ev) =>
+    !ev.hit
+      ? "miss"
+      : ev.damage === 0 && ev.absorbed > 0
+      ? "blocked"
+      : ev.damage;
+  const hitKind = (ev) => (ev.crit ? "crit" : "damage");
+
+  const playEvent = async (ev) => {
+    switch (ev.type) {
+      case "move":
+        // Step-by-step movement animation (hop per tile)
+        for (const p of ev.path) {
+          enqueue({
+            type: "move",
+            unitId: ev.unitId,
+            durationMs: MOVE_STEP_MS,
+          });
+          patchUnit(ev.unitId, { x: p.x, y: p.y });
+          playSfx("move");
+          await pace(MOVE_STEP_MS);
+        }
+        break;
+      case "attack": {
+        const dir = directionBetween(ev.from, ev.at);
+        enqueue({ type: "attack", unitId: ev.unitId, attackDir: dir });
+        // Apply damage and reactions at the moment of impact, not before
+        await pace(ATTACK_IMPACT_MS);
+        playSfx("hit");
+        // Floating damage text with an extra delay
+        setTimeout(
+          () => pushFloatText(ev.targetId, hitKind(ev), hitText(ev)),
+          300
+        );
+        // Hit reaction (knockback) triggered on impact
+        setHitReactions((prev) => ({
           ...prev,
-          [target.id]: {
+          [ev.targetId]: {
             started: performance.now() / 1000,
             duration: 0.4,
-            dir: { x: dx / len, z: dz / len },
+            dir,
           },
-        };
-      });
-
-      // Commit HP change and consume the attacker's action
-      setUnits((prev) => {
-        const after = prev.map((u) => ({ ...u }));
-        const ti = after.findIndex((u) => u.id === target.id);
-        if (ti === -1) return after;
-        after[ti].hp -= damage;
-        if (after[ti].hp <= 0) {
-          after[ti].hp = 0;
-          // Mark for death animation; store dir for fall
-          const dx2 = target.x - attacker.x;
-          const dz2 = target.y - attacker.y;
-          const l2 = Math.max(1e-6, Math.hypot(dx2, dz2));
-          after[ti].dying = true;
-          after[ti].deathStarted = performance.now() / 1000;
-          after[ti].deathDir = { x: dx2 / l2, z: dz2 / l2 };
+        }));
+        patchUnit(ev.targetId, { hp: ev.hp });
+        await pace(ATTACK_ANIM_MS - ATTACK_IMPACT_MS);
+        break;
+      }
+      case "death":
+        // Mark for death animation, then remove the corpse
+        patchUnit(ev.unitId, {
+          hp: 0,
+          dying: true,
+          deathStarted: performance.now() / 1000,
+        });
+        playSfx("fall");
+        setTimeout(() => {
+          setUnits((prev) =>
+            prev.filter((u) => !(u.id === ev.unitId && u.dying))
+          );
+        }, DEATH_REMOVE_MS);
+        break;
+      case "ability":
+      case "item": {
+        castRef.current = ev;
+        if (castOf(battleRef.current, ev)?.effect === "heal") break; // the heals animate themselves
+        setAreaFlash(ev.area);
+        enqueue({
+          type: "attack",
+          unitId: ev.unitId,
+          attackDir: directionBetween(ev.from, ev.at),
+        });
+        await pace(ATTACK_IMPACT_MS);
+        break;
+      }
+      case "hit": {
+        const cast = castRef.current;
+        playSfx("hit");
+        pushFloatText(ev.targetId, hitKind(ev), hitText(ev));
+        setHitReactions((prev) => ({
+          ...prev,
+          [ev.targetId]: {
+            started: performance.now() / 1000,
+            duration: 0.4,
+            dir: directionBetween(cast.from, cast.at),
+          },
+        }));
+        patchUnit(ev.targetId, { hp: ev.hp });
+        await pace(HIT_STAGGER_MS);
+        break;
+      }
+      case "push":
+        patchUnit(ev.unitId, { x: ev.to.x, y: ev.to.y });
+        await pace(MOVE_STEP_MS);
+        break;
+      case "status": {
+        const effect = { kind: ev.kind, turns: ev.turns, power: ev.power };
+        patchEffects(ev.unitId, (effects) => [
+          ...effects.filter((e) => e.kind !== ev.kind || e.passive),
+          effect,
+        ]);
+        break;
+      }
+      case "tick": {
+        const effect = STATUS_EFFECTS[ev.kind];
+        patchEffects(ev.unitId, (effects) =>
+          effects.map((e) =>
+            sameEffect(e, ev) ? { ...e, turns: ev.turns } : e
+          )
+        );
+        if (effect?.skipTurn) patchUnit(ev.unitId, { stunned: true });
+        if (ev.amount > 0) {
+          playSfx(effect?.heals ? "heal" : "hit");
+          pushFloatText(
+            ev.unitId,
+            effect?.heals ? "heal" : "damage",
+            ev.amount
+          );
+          patchUnit(ev.unitId, { hp: ev.hp });
         }
-        const ai = after.findIndex((u) => u.id === attacker.id);
-        if (ai !== -1) after[ai].hasActed = true;
-        return after;
-      });
-      if (willDie) playSfx("fall");
-      // Schedule removal of the corpse after animations
-      setTimeout(() => {
-        setUnits((prev) =>
-          prev.filter((u) => !(u.id === target.id && u.hp <= 0))
+        await pace(HIT_STAGGER_MS);
+        break;
+      }
+      case "expire":
+        patchEffects(ev.unitId, (effects) =>
+          effects.filter((e) => !sameEffect(e, ev))
         );
-      }, DEATH_REMOVE_MS);
-    }, ATTACK_IMPACT_MS);
+        break;
+      case "heal":
+        enqueue({ type: "heal", unitId: ev.unitId });
+        await pace(HEAL_IMPACT_MS);
+        playSfx("heal");
+        patchUnit(ev.targetId, { hp: ev.hp });
+        if (ev.amount > 0) pushFloatText(ev.targetId, "heal", ev.amount);
+        break;
+      default:
+        break;
+    }
+  };
 
-    return true;
+  // Bring on-screen units in line with the rules state (keeping fading corpses)
+  const syncUnits = () =>
+    setUnits((prev) => {
+      const live = battleRef.current.units.map((u) => ({ ...u }));
+      const corpses = prev.filter(
+        (u) => u.dying && !live.some((l) => l.id === u.id)
+      );
+      return [...live, ...corpses];
+    });
+
+  const commitBattle = (state) => {
+    battleRef.current = state;
+    setBattle(state);
   };
 
-  // Healing logic: random heal from 0..max (using healer.heal or healer.atk); 0 = miss
-  const tryHeal = (healer, target) => {
-    if (!healer || !target) return false;
-    if (healer.id !== "mage" || healer.hasActed) return false;
-    if (target.team !== "player" || target.id === healer.id) return false;
+  // Combat log line for an event, added as it is animated
+  const noteEvent = (ev, round, unitOf) => {
+    const line = describeEvent(
+      ev,
+      unitOf,
+      teamLabel,
+      (id) => battleRef.current.abilities?.[id]?.name ?? id,
+      (id) => battleRef.current.items?.[id]?.name ?? id
+    );
+    if (!line) return;
+    const id = ++logIdRef.current;
+    setCombatLog((l) => [...l, { id, round, ...line }]);
+  };
 
-    // Start heal animation immediately
-    enqueue({ type: "heal", unitId: healer.id });
+  // Commit the new rules state, then replay its events
+  const showOutcome = async (state, events) => {
+    const before = battleRef.current;
+    const unitOf = (id) => getUnit(state, id) ?? getUnit(before, id);
+    commitBattle(state);
+    setPlaying(true);
+    try {
+      let round = before.round;
+      for (const ev of events) {
+        if (ev.type === "turn") round = ev.round;
+        noteEvent(ev, round, unitOf);
+        await playEvent(ev);
+      }
+    } finally {
+      syncUnits();
+      setAreaFlash(null);
+      setPlaying(false);
+    }
+    return events;
+  };
 
-    // Commit heal at impact time
-    setTimeout(() => {
-      playSfx("heal");
-      setUnits((prev) => {
-        const after = prev.map((u) => ({ ...u }));
-        const ti = after.findIndex((u) => u.id === target.id);
-        if (ti === -1) return after;
-        const maxHeal = healer.heal ?? healer.atk ?? 0;
-        const healAmount = randInt(0, maxHeal); // 0..maxHeal (0 = miss)
-        const maxHp = after[ti].maxHp ?? after[ti].hp;
-        const nextHp = Math.min(after[ti].hp + healAmount, maxHp);
-        const actuallyHealed = nextHp - after[ti].hp;
-        after[ti].hp = nextHp;
-        if (actuallyHealed > 0)
-          pushFloatText(
-            target.id,
-            "heal",
-            actuallyHealed === 0 ? "miss" : actuallyHealed
-          );
-        const hi = after.findIndex((u) => u.id === healer.id);
-        if (hi !== -1) after[hi].hasActed = true;
-        return after;
-      });
-    }, HEAL_IMPACT_MS);
+  // Apply an action to the engine (recording it), then replay the events
+  const dispatch = async (action) => {
+    const { state, events } = applyAction(battleRef.current, action);
+    if (replayRef.current)
+      replayRef.current = recordAction(replayRef.current, action, events);
+    return showOutcome(state, events);
+  };
 
-    return true;
+  // Player orders. Plain moves reveal no roll, so they stay undoable until the
+  // next attack, ability or end of turn. Online games go through the host instead.
+  const order = (action) => {
+    if (online) return netOrder(action);
+    const before = {
+      state: battleRef.current,
+      unitId: action.unitId,
+      replay: replayRef.current,
+      logLength: combatLog.length,
+    };
+    setUndoStack((s) => (action.type === "move" ? [...s, before] : []));
+    return dispatch(action);
   };
 
-  const onTileClick = (tile) => {
-    if (intro) return;
-    if (turn !== "player" || !selected || selected.hasActed || isBusy) return;
-    const k = key(tile.x, tile.y);
-    if (!reach.has(k)) return;
-
-    // Step-by-step movement animation (hop per tile)
-    // Find path (BFS backtrack) - for now, simple straight line
-    // For smooth movement, interpolate in steps
-    // We'll use a naive Manhattan path for now
-    const steps = [];
-    let cx = selected.x,
-      cy = selected.y;
-    while (cx !== tile.x || cy !== tile.y) {
-      if (cx < tile.x) cx++;
-      else if (cx > tile.x) cx--;
-      else if (cy < tile.y) cy++;
-      else if (cy > tile.y) cy--;
-      steps.push({ x: cx, y: cy });
+  const canUndo =
+    !online && !!humanTeam && !busy && !intro && undoStack.length > 0;
+
+  const undoMove = () => {
+    if (!canUndo) return;
+    const { state, unitId, replay, logLength } =
+      undoStack[undoStack.length - 1];
+    setUndoStack((s) => s.slice(0, -1));
+    replayRef.current = replay;
+    setCombatLog((l) => l.slice(0, logLength));
+    commitBattle(state);
+    setUnits(state.units);
+    setSelectedId(unitId);
+  };
+
+  // Put a fresh battle on the board (intro follows once assets are ready)
+  const resetBattle = (choice, seed) => {
+    const fresh = newBattle(choice, seed);
+    replayRef.current = createReplay(fresh, { setup: saveSetup(choice) });
+    preloadModels(fresh);
+    commitBattle(fresh);
+    setUnits(fresh.units);
+    setSelectedId(null);
+    setStarted(false);
+    setOutcome(null);
+    setCombatLog([]);
+    setUndoStack([]);
+    autosavedRef.current = null;
+  };
+
+  const enterBattle = (choice, seed) => {
+    resetBattle(choice, seed);
+    setSetup(choice);
+    setLastSetup(choice);
+    // returning from the menu: the first-load path starts music with the intro
+    if (musicStartedRef.current) restartMusic(true);
+  };
+
+  const startBattle = (choice) => {
+    if (choice.mode === "online") {
+      openLobby(choice);
+      return;
     }
-    const MOVE_STEP_MS = 320; // match enemy move speed
-    steps.forEach((p, idx) => {
-      // queue a short hop animation for each tile
-      enqueue({ type: "move", unitId: selected.id, durationMs: MOVE_STEP_MS });
-      setTimeout(() => {
-        setUnits((prev) => {
-          const after = prev.map((u) => ({ ...u }));
-          const i = after.findIndex((u) => u.id === selected.id);
-          if (i !== -1) {
-            after[i].x = p.x;
-            after[i].y = p.y;
-            // only mark action consumed on the final hop
-            if (idx === steps.length - 1) after[i].hasActed = true;
-          }
-          return after;
-        });
-        playSfx("move");
-      }, idx * MOVE_STEP_MS);
+    savePreferences({
+      difficulty: choice.difficulty,
+      initiative: !!choice.initiative,
     });
-    setTimeout(() => setSelectedId(null), steps.length * MOVE_STEP_MS);
-    // Safety snap to ensure final position is correct even if a hop was dropped
-    setTimeout(() => {
-      setUnits((prev) => {
-        const after = prev.map((u) => ({ ...u }));
-        const i = after.findIndex((u) => u.id === selected.id);
-        if (i !== -1) {
-          after[i].x = tile.x;
-          after[i].y = tile.y;
-          after[i].hasActed = true;
+    enterBattle(choice);
+  };
+
+  // ---- Campaign (see battle/campaign.js) ----
+  const storeCampaign = (progress) => {
+    setCampaignProgress(progress);
+    setCampaignError(null);
+    writeCampaign(progress).catch((e) =>
+      setCampaignError(`Could not save the campaign: ${e.message}`)
+    );
+  };
+
+  const beginCampaign = () => {
+    setCampaignReport(null);
+    storeCampaign(newCampaign(catalog.campaign, catalog.roster));
+  };
+
+  // Next campaign battle against the AI, with the last picked difficulty and
+  // turn order
+  const fightCampaign = (squad) => {
+    const scenarioId =
+      catalog.campaign.battles[campaignProgress.stage].scenario;
+    const prefs = loadPreferences();
+    setCampaignOpen(false);
+    enterBattle({
+      scenarioId,
+      scenario: catalog.scenarios[scenarioId],
+      roster: catalog.roster,
+      squad,
+      difficulty: DIFFICULTIES.includes(prefs.difficulty)
+        ? prefs.difficulty
+        : "normal",
+      mode: "ai",
+      initiative: !!prefs.initiative,
+      campaign: { stage: campaignProgress.stage, progress: campaignProgress },
+    });
+  };
+
+  const backToMap = () => {
+    backToSetup();
+    setCampaignOpen(true);
+  };
+
+  // Won campaign battle: XP, levels, wounds and losses go into the progress
+  const continueCampaign = () => {
+    const { progress, report } = finishBattle(
+      catalog.campaign,
+      setup.campaign.progress,
+      catalog.roster,
+      battleRef.current,
+      setup.squad,
+      setup.scenario
+    );
+    storeCampaign(progress);
+    setCampaignReport(report);
+    backToMap();
+  };
+
+  // ---- Online play (messages in ./net/protocol.js) ----
+  const netSend = (payload) => netRef.current?.client?.send(payload);
+
+  // Run `fn` after every online action still being applied or animated
+  const serial = (fn) => {
+    netChainRef.current = netChainRef.current
+      .then(fn)
+      .catch((e) => console.error("Online action failed", e));
+    return netChainRef.current;
+  };
+
+  // Host the lobby or join one; the battle starts once both sides are in
+  const openLobby = (choice) => {
+    const { url, role, code } = choice.online;
+    const session = { client: null };
+    const update = (patch) =>
+      netRef.current === session && setNet((n) => n && { ...n, ...patch });
+    netRef.current = session;
+    netIndexRef.current = 0;
+    netChainRef.current = Promise.resolve();
+    setLastSetup(choice);
+    setNet({ role, choice, code: null, status: "connecting", peer: null });
+    connectRelay(url, {
+      code: role === "guest" ? code : undefined,
+      onPayload: (p) =>
+        netRef.current === session && serial(() => netHandlerRef.current(p)),
+      onPeer: (peer) => update({ peer }),
+      onStatus: (status) => update({ status }),
+    })
+      .then((client) => {
+        if (netRef.current !== session) return client.close();
+        session.client = client;
+        update({ code: client.code });
+        if (role === "guest")
+          client.send({ kind: "hello", version: PROTOCOL_VERSION });
+      })
+      .catch((e) => update({ status: "closed", error: e.message }));
+  };
+
+  const leaveOnline = () => {
+    const session = netRef.current;
+    netRef.current = null;
+    session?.client?.send({ kind: "bye" });
+    session?.client?.close();
+    setNet(null);
+    setNetPending(false);
+  };
+
+  // Host: apply the action first (all rolls happen here), then pass it on with
+  // a state hash whenever the turn passed (in initiative battles it passes by
+  // itself once a unit is done) and at the end of the battle
+  const hostPlay = (action) => {
+    const before = battleRef.current;
+    const done = dispatch(action);
+    const after = battleRef.current;
+    if (after === before) return done; // rejected by the engine
+    netSend({
+      kind: "action",
+      index: ++netIndexRef.current,
+      action,
+      ...((after.turn !== before.turn ||
+        after.round !== before.round ||
+        after.queue?.[0] !== before.queue?.[0] ||
+        after.winner) && {
+        hash: hashState(after),
+      }),
+    });
+    return done;
+  };
+
+  // The guest only asks; its board changes when the host sends the action back
+  const netOrder = (action) => {
+    if (net?.role !== "guest") return serial(() => hostPlay(action));
+    setNetPending(true);
+    netSend({ kind: "intent", action });
+    return Promise.resolve([]);
+  };
+
+  const flagDesync = (index) => {
+    const hash = hashState(battleRef.current);
+    console.error(`Online desync at action ${index} (local hash ${hash})`);
+    setNet((n) => n && { ...n, desync: index });
+    netSend({ kind: "desync", index, hash });
+  };
+
+  // Incoming payloads, one at a time (see serial); refreshed every render so
+  // it sees the current setup and connection
+  useEffect(() => {
+    netHandlerRef.current = async (p) => {
+      switch (p.kind) {
+        case "hello": {
+          if (net?.role !== "host" || setup) return;
+          if (p.version !== PROTOCOL_VERSION) {
+            const reason = "The two games are different versions";
+            netSend({ kind: "bye", reason });
+            setNet((n) => n && { ...n, error: reason });
+            return;
+          }
+          enterBattle(net.choice);
+          netSend({
+            kind: "start",
+            version: PROTOCOL_VERSION,
+            setup: saveSetup(net.choice),
+            seed: battleRef.current.seed,
+          });
+          return;
+        }
+        case "start": {
+          if (net?.role !== "guest" || setup) return;
+          const scenario = catalog.scenarios[p.setup.scenarioId];
+          const reason =
+            p.version !== PROTOCOL_VERSION
+              ? "The two games are different versions"
+              : !scenario
+              ? `This game has no battlefield "${p.setup.scenarioId}"`
+              : null;
+          if (reason) {
+            netSend({ kind: "bye", reason });
+            setNet((n) => n && { ...n, error: reason });
+            return;
+          }
+          const choice = {
+            ...p.setup,
+            scenario,
+            roster: catalog.roster,
+            online: net.choice.online,
+          };
+          enterBattle(choice, p.seed);
+          return;
         }
-        return after;
+        case "intent": {
+          if (net?.role !== "host") return;
+          const reason = checkIntent(battleRef.current, p.action);
+          if (reason) netSend({ kind: "reject", action: p.action, reason });
+          else await hostPlay(p.action);
+          return;
+        }
+        case "action": {
+          if (net?.role !== "guest" || p.index <= netIndexRef.current) return;
+          netIndexRef.current = p.index;
+          setNetPending(false);
+          try {
+            await dispatch(p.action);
+          } catch (e) {
+            console.error(e);
+            flagDesync(p.index);
+            return;
+          }
+          if (p.hash && hashState(battleRef.current) !== p.hash)
+            flagDesync(p.index);
+          return;
+        }
+        case "reject":
+          setNetPending(false);
+          console.warn(`Host refused ${p.action?.type}: ${p.reason}`);
+          return;
+        case "desync":
+          setNet((n) => n && { ...n, desync: p.index });
+          return;
+        case "bye":
+          setNet(
+            (n) =>
+              n && {
+                ...n,
+                peer: "left",
+                error: p.reason ?? "The other player left",
+              }
+          );
+          return;
+        default:
+          return;
+      }
+    };
+  });
+
+  const saveBattle = (slot, name) =>
+    writeSave(
+      slot,
+      toSaveData(battleRef.current, { name, setup: saveSetup(setup) })
+    );
+
+  // Put a ready-made state on the board; the intro replays once its models
+  // are loaded
+  const mountBattle = (state, choice) => {
+    preloadModels(state);
+    commitBattle(state);
+    setUnits(state.units);
+    setSelectedId(null);
+    setStarted(false);
+    setOutcome(null);
+    setCombatLog([]);
+    setIntro(false);
+    setSetup(choice);
+    setSavesOpen(false);
+    setUndoStack([]);
+    autosavedRef.current = null;
+    if (musicStartedRef.current) restartMusic(true);
+  };
+
+  // Restore a saved battle (recording continues from the saved state)
+  const loadBattle = async (slot) => {
+    const save = await readSave(slot);
+    if (!save) throw new SaveError(`Save slot "${slot}" is empty`);
+    const scenario = catalog.scenarios[save.setup.scenarioId];
+    if (!scenario)
+      throw new SaveError(
+        `Scenario "${save.setup.scenarioId}" of this save is not available`
+      );
+    const { campaignStage, ...setupChoice } = save.setup;
+    const choice = { ...setupChoice, scenario, roster: catalog.roster };
+    if (campaignStage != null && campaignProgress?.stage === campaignStage)
+      choice.campaign = { stage: campaignStage, progress: campaignProgress };
+    replayRef.current = createReplay(save.state, { setup: save.setup });
+    mountBattle(save.state, choice);
+    setLastSetup(choice);
+  };
+
+  // ---- Replays ----
+  const exportReplay = () => {
+    if (!replayRef.current) return;
+    downloadText(
+      `replay-${setup?.scenarioId ?? "battle"}-${battle.seed}.json`,
+      JSON.stringify(replayRef.current),
+      "application/json"
+    );
+  };
+
+  // Pick a replay file and start watching it
+  const watchReplay = async () => {
+    const text = await pickTextFile(".json,application/json");
+    if (text == null) return;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new ReplayError("Replay file is not valid JSON");
+    }
+    const replay = fromReplayData(data);
+    const scenario = catalog.scenarios[replay.setup?.scenarioId];
+    replayRef.current = null;
+    speedRef.current = 1;
+    mountBattle(replay.initial, {
+      ...replay.setup,
+      scenario,
+      roster: catalog.roster,
+    });
+    setPlayback({ replay, cursor: 0, paused: false, speed: 1, error: null });
+  };
+
+  // Play the next recorded action
+  const stepReplay = () => {
+    const { replay, cursor } = playback;
+    if (cursor >= replay.entries.length) return;
+    let step;
+    try {
+      step = replayStep(battleRef.current, replay, cursor);
+    } catch (e) {
+      console.error(e);
+      setPlayback((p) => ({ ...p, paused: true, error: e.message }));
+      return;
+    }
+    setPlayback((p) => ({ ...p, cursor: p.cursor + 1 }));
+    return showOutcome(step.state, step.events);
+  };
+
+  const restartReplay = () => {
+    const { initial } = playback.replay;
+    commitBattle(initial);
+    setUnits(initial.units);
+    setOutcome(null);
+    setCombatLog([]);
+    setPlayback((p) => ({ ...p, cursor: 0, paused: false, error: null }));
+  };
+
+  const exportLog = (entries) =>
+    downloadText(`combat-log-${battle.seed}.txt`, logText(entries));
+
+  const setReplaySpeed = (speed) => {
+    speedRef.current = speed;
+    setPlayback((p) => ({ ...p, speed }));
+  };
+
+  const backToSetup = () => {
+    leaveOnline();
+    setPlayback(null);
+    speedRef.current = 1;
+    replayRef.current = null;
+    const empty = createBattleState([]);
+    commitBattle(empty);
+    setUnits(empty.units);
+    setSelectedId(null);
+    setStarted(false);
+    setOutcome(null);
+    setCombatLog([]);
+    setUndoStack([]);
+    setIntro(false);
+    setSetup(null);
+  };
+
+  // Armed ability or item: cast it at `at` if that is a valid target, else disarm
+  const castArmed = (at) => {
+    if (armedTargets.has(key(at.x, at.y))) {
+      order({
+        type: armedCast.itemId !== undefined ? "item" : "ability",
+        unitId: selected.id,
+        ...armedCast,
+        at: { x: at.x, y: at.y },
       });
-    }, steps.length * MOVE_STEP_MS + 10);
+      setSelectedId(null);
+    }
+    setArmed(null);
+  };
+
+  const isArmed = (cast) =>
+    !!armedCast &&
+    armedCast.abilityId === cast.abilityId &&
+    armedCast.itemId === cast.itemId;
+
+  const toggleCast = (cast) =>
+    setArmed(isArmed(cast) ? null : { unitId: selected.id, cast });
+
+  const onTileClick = (tile) => {
+    if (intro) return;
+    if (!humanTeam || !selected || busy) return;
+    if (armedCast) return castArmed(tile);
+    if (!reach.has(key(tile.x, tile.y))) return;
+    // stays selected: after moving the unit may still attack, use an ability, wait or defend
+    order({ type: "move", unitId: selected.id, to: tile });
   };
 
   const onUnitClick = (u) => {
     if (intro) return;
     if (u.hp <= 0 || u.dying) return;
-    if (turn !== "player" || isBusy) return;
-    // If clicking an ally and selected mage can heal — perform heal
-    if (u.team === "player" && canHealAlly(u)) {
-      tryHeal(selected, u);
+    if (!humanTeam || busy) return;
+    if (armedCast) return castArmed(u);
+    // Clicking an ally the selected unit can heal casts that heal
+    if (u.team === humanTeam && playerInput && canHealAlly(u)) {
+      order({
+        type: "ability",
+        unitId: selected.id,
+        abilityId: quickAid,
+        at: { x: u.x, y: u.y },
+      });
       setSelectedId(null);
       return;
     }
     // If clicking enemy: either attack immediately (if in range) or, for melee, move into range then attack
-    if (u.team === "enemy") {
-      // immediate attack if already in range
+    if (u.team === opponentTeam && selected) {
       if (canAttackEnemy(u)) {
-        tryAttack(selected, u);
+        order({ type: "attack", unitId: selected.id, targetId: u.id });
         setSelectedId(null);
         return;
       }
-      // melee auto step-then-attack logic
-      const isMelee = isMeleeUnit(selected);
-      if (
-        selected &&
-        isMelee &&
-        turn === "player" &&
-        selected.team === "player" &&
-        !selected.hasActed
-      ) {
-        // find any reachable tile that would put us in range of the enemy
-        const reachableTiles = Array.from(reach).map((k) => {
-          const [sx, sy] = k.split(",").map(Number);
-          return { x: sx, y: sy };
-        });
-        const candidateTiles = reachableTiles.filter(
-          (t) => Math.abs(t.x - u.x) + Math.abs(t.y - u.y) <= 1
-        );
-        if (candidateTiles.length) {
-          // choose the shortest move; tie-breaker: minimal distance to enemy
-          const best = candidateTiles.reduce((best, t) => {
-            const moveDist =
-              Math.abs(t.x - selected.x) + Math.abs(t.y - selected.y);
-            const enemyDist = Math.abs(t.x - u.x) + Math.abs(t.y - u.y);
-            if (!best) return { t, moveDist, enemyDist };
-            if (moveDist < best.moveDist) return { t, moveDist, enemyDist };
-            if (moveDist === best.moveDist && enemyDist < best.enemyDist)
-              return { t, moveDist, enemyDist };
-            return best;
-          }, null).t;
-
-          // animate move without consuming action, then queue attack which will consume the action
-          enqueue({ type: "move", unitId: selected.id });
-          setUnits((prev) => {
-            const after = prev.map((uu) => ({ ...uu }));
-            const i = after.findIndex((uu) => uu.id === selected.id);
-            if (i !== -1) {
-              after[i].x = best.x;
-              after[i].y = best.y;
-              // do NOT set hasActed here; the attack will consume the action
-            }
-            return after;
-          });
-          // attack using the updated (virtual) position
-          const movedAttacker = { ...selected, x: best.x, y: best.y };
-          tryAttack(movedAttacker, u);
-          setSelectedId(null);
-          return;
-        }
+      const via = findAttackApproach(battle, selected.id, u.id);
+      if (via) {
+        order({ type: "attack", unitId: selected.id, targetId: u.id, via });
+        setSelectedId(null);
+        return;
       }
     }
     // Otherwise, normal selection of player's own unit (only if not acted)
-    if (u.team !== "player" || u.hasActed) return;
+    if (u.team !== humanTeam || !canAct(battle, u.id)) return;
     setSelectedId(u.id === selectedId ? null : u.id);
+    setArmed(null);
+  };
+
+  // Initiative: the human side's unit up next is picked for it
+  useEffect(() => {
+    if (activeId && activeTeam === humanTeam) setSelectedId(activeId);
+  }, [activeId, activeTeam, humanTeam]);
+
+  // Wait / defend: spend the selected unit's action without attacking or casting
+  const finishSelected = (type) => {
+    if (intro || busy || !playerInput || !canAct(battle, selected.id)) return;
+    setSelectedId(null);
+    order({ type, unitId: selected.id });
   };
 
   const endPlayerTurn = () => {
     if (intro) return;
-    if (turn !== "player") return;
+    if (!humanTeam || busy) return;
     setSelectedId(null);
     setHoveredAllyId(null);
-    // reset enemy hasActed
-    setUnits((prev) =>
-      prev.map((u) => (u.team === "enemy" ? { ...u, hasActed: false } : u))
-    );
-    setTurn("enemy");
+    order({ type: "endTurn" });
   };
 
-  // Simple enemy AI: for each enemy, either attack if adjacent, else move towards closest player within move range
+  // Refreshed every render so the effects below, which only rerun on their
+  // own dependencies, call the current functions
   useEffect(() => {
-    if (turn !== "enemy" || isBusy || log || enemyAIRunningRef.current) return;
+    dispatchRef.current = dispatch;
+    stepReplayRef.current = stepReplay;
+  });
+
+  // AI turn: the worker plans the whole turn, then we play it back
+  useEffect(() => {
+    if (mode !== "ai" || !turn || humanTeam || busy || outcome) return;
+    if (enemyAIRunningRef.current) return;
 
     const doEnemyRound = async () => {
       enemyAIRunningRef.current = true;
       try {
-        const wait = (ms) => new Promise((r) => setTimeout(r, ms));
-        let stateUnits = units;
-
-        const enemies = stateUnits.filter((u) => u.team === "enemy");
-        for (const e of enemies) {
-          if (!stateUnits.find((u) => u.id === e.id)) continue; // might be dead
-          // Attack if in range
-          const eRange = e.attackRange ?? 1;
-          const adjTarget = stateUnits.find(
-            (u) => u.team === "player" && u.hp > 0 && manhattan(e, u) <= eRange
-          );
-          const didAttack = adjTarget ? tryAttack(e, adjTarget) : false;
-          if (didAttack) {
-            await wait(520);
-            stateUnits = JSON.parse(JSON.stringify(stateUnits));
-            // Delay before next enemy's turn
-            await wait(1000);
-            continue;
-          }
-          // Move towards nearest player
-          const targets = stateUnits.filter(
-            (u) => u.team === "player" && u.hp > 0
-          );
-          if (targets.length === 0) break;
-          const nearest = targets.reduce((a, b) =>
-            manhattan(e, a) < manhattan(e, b) ? a : b
-          );
-          // compute best step within range that gets closer
-          const occ = new Set(stateUnits.map((u) => key(u.x, u.y)));
-          occ.delete(key(e.x, e.y));
-          const r = reachable({ x: e.x, y: e.y }, e.move, occ);
-          let best = { x: e.x, y: e.y };
-          let bestD = manhattan(e, nearest);
-          r.forEach((kstr) => {
-            const [sx, sy] = kstr.split(",").map(Number);
-            const d = Math.abs(sx - nearest.x) + Math.abs(sy - nearest.y);
-            if (d < bestD) {
-              bestD = d;
-              best = { x: sx, y: sy };
-            }
-          });
-          if (best.x !== e.x || best.y !== e.y) {
-            // Animate step-by-step hops for enemy move
-            const steps = [];
-            let cx = e.x,
-              cy = e.y;
-            while (cx !== best.x || cy !== best.y) {
-              if (cx < best.x) cx++;
-              else if (cx > best.x) cx--;
-              else if (cy < best.y) cy++;
-              else if (cy > best.y) cy--;
-              steps.push({ x: cx, y: cy });
-            }
-            const MOVE_STEP_MS = 320; // 320ms per step
-            for (let idx = 0; idx < steps.length; idx++) {
-              const p = steps[idx];
-              enqueue({ type: "move", unitId: e.id, durationMs: MOVE_STEP_MS });
-              await wait(MOVE_STEP_MS);
-              setUnits((prev) => {
-                const after = prev.map((u) => ({ ...u }));
-                const i = after.findIndex((u) => u.id === e.id);
-                if (i !== -1) {
-                  after[i].x = p.x;
-                  after[i].y = p.y;
-                  if (idx === steps.length - 1) after[i].hasActed = true;
-                }
-                return after;
-              });
-              playSfx("move");
-            }
-            // Safety snap to final intended tile
-            setUnits((prev) => {
-              const after = prev.map((u) => ({ ...u }));
-              const i = after.findIndex((u) => u.id === e.id);
-              if (i !== -1) {
-                after[i].x = best.x;
-                after[i].y = best.y;
-                after[i].hasActed = true;
-              }
-              return after;
-            });
-            // Update our local mirror so next enemies see the new occupancy
-            stateUnits = stateUnits.map((u) =>
-              u.id === e.id ? { ...u, x: best.x, y: best.y } : u
-            );
-          }
-          // movement consumes the action; no extra attack this turn
-          await wait(520);
+        const planned = battleRef.current;
+        const actions = await planTurn(planned);
+        // the battle was reset or left while the AI was thinking
+        if (battleRef.current !== planned) return;
+        let lastUnitId = null;
+        for (const action of actions) {
           // Delay before next enemy's turn
-          await wait(1000);
+          if (lastUnitId && action.unitId !== lastUnitId)
+            await wait(ENEMY_PAUSE_MS);
+          lastUnitId = action.unitId;
+          await dispatchRef.current(action);
+          if (battleRef.current.winner) return;
         }
-        // End enemy turn => reset player hasActed
-        setUnits((prev) =>
-          prev.map((u) => (u.team === "player" ? { ...u, hasActed: false } : u))
-        );
-        setTurn("player");
+      } catch (e) {
+        console.error("Enemy AI failed, passing the turn", e);
+        if (!battleRef.current.winner)
+          await dispatchRef.current({ type: "endTurn" });
       } finally {
         enemyAIRunningRef.current = false;
       }
     };
 
     doEnemyRound();
-  }, [turn, isBusy, log, playSfx]);
+  }, [mode, turn, humanTeam, busy, outcome]);
+
+  // Replay playback: next action once the previous one has been animated
+  useEffect(() => {
+    if (!playback || playback.paused || !started || busy || outcome) return;
+    if (playback.cursor >= playback.replay.entries.length) {
+      setPlayback((p) => ({ ...p, paused: true }));
+      return;
+    }
+    const timer = setTimeout(
+      () => stepReplayRef.current(),
+      REPLAY_PAUSE_MS / playback.speed
+    );
+    return () => clearTimeout(timer);
+  }, [playback, started, busy, outcome]);
 
+  // Ctrl+Z / Cmd+Z takes back the last plain move; Esc drops an armed ability
+  // or item
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape" && armed) return setArmed(null);
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target instanceof HTMLInputElement) return;
+      e.preventDefault();
+      undoMove();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // Autosave once at the start of every human turn
+  useEffect(() => {
+    if (online || !humanTeam || busy || outcome || !setup) return;
+    const mark = `${battle.seed}-${battle.round}-${humanTeam}`;
+    if (autosavedRef.current === mark) return;
+    autosavedRef.current = mark;
+    writeSave(
+      AUTOSAVE_SLOT,
+      toSaveData(battleRef.current, {
+        name: `${setup.scenario.name}, round ${battle.round}`,
+        setup: saveSetup(setup),
+      })
+    ).catch((e) => console.warn("Autosave failed", e));
+  }, [online, humanTeam, busy, outcome, setup, battle.seed, battle.round]);
+
+  // End Turn lights up once every hero of the side to move has at least moved
+  // (with initiative: whenever one of them is up); unused actions are forfeited
   const allPlayerActed = useMemo(
-    () => units.filter((u) => u.team === "player").every((u) => u.hasActed),
-    [units]
+    () =>
+      !!humanTeam &&
+      (battle.initiative ||
+        unitsOf(battle, humanTeam).every((u) => u.hasActed || u.hasMoved)),
+    [battle, humanTeam]
+  );
+
+  const canFinishSelected =
+    playerInput && !busy && !intro && canAct(battle, selected.id);
+
+  // Top bar centre; moves under the turn label to make room for the
+  // initiative bar
+  const seedLink = (
+    <button
+      onClick={() => navigator.clipboard?.writeText(seedUrl(battle.seed))}
+      className="text-xs opacity-60 hover:opacity-100 font-mono text-left"
+      title="Copy a link that replays this battle with the same rolls"
+    >
+      Seed: {battle.seed}
+      {online && net?.code && ` • Lobby ${net.code}`}
+    </button>
   );
 
   return (
     <div className="w-screen h-screen bg-slate-900 text-white">
       {/* Global preload overlay */}
-      {!canStartIntro && (
+      {loadError && (
+        <div className="absolute inset-0 z-40 flex items-center justify-center bg-slate-900">
+          <div className="max-w-xl px-8 py-6 rounded-2xl bg-slate-800 shadow-xl">
+            <div className="text-xl font-semibold text-rose-400 mb-2">
+              Could not load {loadError.file ?? "the scenario"}
+            </div>
+            <ul className="text-sm opacity-90 list-disc pl-5 space-y-1">
+              {(loadError.problems ?? [loadError.message]).map((p) => (
+                <li key={p}>{p}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+      {net && !setup && <LobbyPanel net={net} onCancel={leaveOnline} />}
+      {catalog && !setup && !net && !campaignOpen && (
+        <SetupScreen
+          catalog={catalog}
+          initial={lastSetup?.campaign ? null : lastSetup}
+          onStart={startBattle}
+          onLoadGame={() => setSavesOpen(true)}
+          onCampaign={() => setCampaignOpen(true)}
+          onWatchReplay={watchReplay}
+        />
+      )}
+      {catalog && !setup && campaignOpen && (
+        <CampaignScreen
+          catalog={catalog}
+          progress={campaignProgress}
+          report={campaignReport}
+          error={campaignError}
+          onFight={fightCampaign}
+          onChange={storeCampaign}
+          onNew={beginCampaign}
+          onBack={() => setCampaignOpen(false)}
+        />
+      )}
+      {savesOpen && catalog && (
+        <SavePanel
+          catalog={catalog}
+          canSave={!!setup && !!humanTeam && !busy && !intro && !outcome}
+          defaultName={
+            setup ? `${setup.scenario.name}, round ${battle.round}` : ""
+          }
+          onSave={saveBattle}
+          onLoad={loadBattle}
+          onClose={() => setSavesOpen(false)}
+        />
+      )}
+      {!canStartIntro && (!catalog || setup) && (
         <div className="absolute inset-0 z-30 flex items-center justify-center bg-slate-900">
           <div className="text-center">
             <div className="text-lg mb-2">Loading preset...</div>
@@ -1468,18 +2529,60 @@ export default function App() {
       )}
       <div className="absolute inset-x-0 top-0 z-10 flex items-center justify-between p-3">
         {turn && (
-          <div className="text-sm md:text-base opacity-80">
-            Tern:{" "}
-            <span
-              className={
-                turn === "player" ? "text-emerald-400" : "text-rose-400"
-              }
-            >
-              {turn === "player" ? "Player" : "Opponent"}
-            </span>
+          <div className="flex flex-col">
+            <div className="text-sm md:text-base opacity-80">
+              Tern:{" "}
+              <span
+                className={
+                  turn === myTeam ? "text-emerald-400" : "text-rose-400"
+                }
+              >
+                {teamLabel(turn)}
+              </span>
+            </div>
+            {active && seedLink}
           </div>
         )}
+        {active ? (
+          <InitiativeBar battle={battle} teamLabel={teamLabel} />
+        ) : (
+          seedLink
+        )}
         <div className="flex items-center gap-2">
+          <button
+            onClick={() => setLogOpen((v) => !v)}
+            className={`px-3 py-2 rounded-xl shadow-lg transition
+              ${
+                logOpen
+                  ? "bg-slate-600 hover:bg-slate-500"
+                  : "bg-slate-700 hover:bg-slate-600"
+              }`}
+            title={logOpen ? "Hide the combat log" : "Show the combat log"}
+          >
+            📜 Log
+          </button>
+          <button
+            onClick={exportReplay}
+            disabled={!setup || watching || intro}
+            className={`px-3 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600
+              ${!setup || watching || intro ? "opacity-50" : ""}`}
+            title="Download a replay of this battle so far"
+          >
+            ⬇ Replay
+          </button>
+          <button
+            onClick={() => setSavesOpen(true)}
+            disabled={!setup || online || intro || busy || (turn && !humanTeam)}
+            className={`px-3 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600
+              ${
+                !setup || online || intro || busy || (turn && !humanTeam)
+                  ? "opacity-50"
+                  : ""
+              }`}
+            title="Save or load the battle"
+          >
+            💾 Saves
+          </button>
           <button
             onClick={toggleMusic}
             className={`px-3 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600`}
@@ -1487,12 +2590,25 @@ export default function App() {
           >
             {musicOn ? "🔊 Music" : "🔈 Music"}
           </button>
+          <button
+            onClick={undoMove}
+            disabled={!canUndo}
+            className={`px-3 py-2 rounded-xl shadow-lg transition
+              ${
+                canUndo
+                  ? "bg-slate-700 hover:bg-slate-600"
+                  : "bg-slate-600 opacity-50"
+              }`}
+            title="Take back the last move (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
           <button
             onClick={endPlayerTurn}
-            disabled={intro || turn !== "player" || !allPlayerActed}
+            disabled={intro || !allPlayerActed}
             className={`px-4 py-2 rounded-xl shadow-lg transition 
               ${
-                turn === "player" && allPlayerActed && !intro
+                allPlayerActed && !intro
                   ? "bg-emerald-500 hover:bg-emerald-400"
                   : "bg-slate-600 opacity-50"
               }`}
@@ -1502,6 +2618,166 @@ export default function App() {
         </div>
       </div>
 
+      {/* Action phase of the selected hero */}
+      {canFinishSelected && (
+        <div className="absolute inset-x-0 top-16 z-10 flex justify-center gap-2 pointer-events-none">
+          <button
+            onClick={() => finishSelected("wait")}
+            className="pointer-events-auto px-3 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+            title={
+              canDefer(battle, selected.id)
+                ? "Act later this round, after everyone else"
+                : "End this hero's turn without acting"
+            }
+          >
+            ⏳ Wait
+          </button>
+          <button
+            onClick={() => finishSelected("defend")}
+            className="pointer-events-auto px-3 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+            title={`End this hero's turn; blocks ${DEFEND_BONUS} damage per hit until its next turn`}
+          >
+            🛡 Defend
+          </button>
+          {unitAbilities(battle, selected).map(([id, a]) => {
+            const rest = cooldownLeft(battle, selected, id);
+            const usable =
+              canUseAbility(battle, selected.id, id) &&
+              abilityTargets(battle, selected.id, id).length > 0;
+            return (
+              <button
+                key={id}
+                onClick={() => toggleCast({ abilityId: id })}
+                disabled={!usable}
+                className={`pointer-events-auto px-3 py-2 rounded-xl shadow-lg transition
+                  ${
+                    isArmed({ abilityId: id })
+                      ? "bg-amber-600 hover:bg-amber-500"
+                      : usable
+                      ? "bg-slate-700 hover:bg-slate-600"
+                      : "bg-slate-600 opacity-50"
+                  }`}
+                title={`${a.description ?? a.name}${
+                  a.cooldown ? ` (rests ${a.cooldown} rounds after use)` : ""
+                }`}
+              >
+                ✨ {a.name}
+                {rest > 0 && <span className="ml-1 text-xs">⌛{rest}</span>}
+              </button>
+            );
+          })}
+          {unitItems(battle, selected).map(([id, item, count]) => {
+            const usable =
+              castTargets(battle, selected.id, { itemId: id }).length > 0;
+            return (
+              <button
+                key={id}
+                onClick={() => toggleCast({ itemId: id })}
+                disabled={!usable}
+                className={`pointer-events-auto px-3 py-2 rounded-xl shadow-lg transition
+                  ${
+                    isArmed({ itemId: id })
+                      ? "bg-amber-600 hover:bg-amber-500"
+                      : usable
+                      ? "bg-slate-700 hover:bg-slate-600"
+                      : "bg-slate-600 opacity-50"
+                  }`}
+                title={`${item.description ?? item.name} (used up)`}
+              >
+                {item.icon ?? "🎒"} {item.name}
+                {count > 1 && <span className="ml-1 text-xs">×{count}</span>}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {setup && started && logOpen && (
+        <CombatLogPanel
+          entries={combatLog}
+          teamLabel={teamLabel}
+          onExport={exportLog}
+          onClose={() => setLogOpen(false)}
+        />
+      )}
+
+      {/* Replay controls */}
+      {playback && started && (
+        <div className="absolute inset-x-0 top-16 z-10 flex justify-center pointer-events-none">
+          <div className="pointer-events-auto flex items-center gap-2 px-3 py-2 rounded-xl shadow-lg bg-slate-800/90 text-sm">
+            <button
+              onClick={restartReplay}
+              disabled={busy}
+              className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600"
+              title="Back to the start"
+            >
+              ⏮
+            </button>
+            <button
+              onClick={() => setPlayback((p) => ({ ...p, paused: !p.paused }))}
+              disabled={!!playback.error}
+              className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600"
+              title={playback.paused ? "Play" : "Pause"}
+            >
+              {playback.paused ? "▶" : "⏸"}
+            </button>
+            <button
+              onClick={() => {
+                setPlayback((p) => ({ ...p, paused: true }));
+                stepReplay();
+              }}
+              disabled={
+                busy ||
+                !!playback.error ||
+                playback.cursor >= playback.replay.entries.length
+              }
+              className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600"
+              title="Next action"
+            >
+              ⏭
+            </button>
+            {REPLAY_SPEEDS.map((speed) => (
+              <button
+                key={speed}
+                onClick={() => setReplaySpeed(speed)}
+                className={`px-2 py-1 rounded-lg ${
+                  speed === playback.speed
+                    ? "bg-emerald-600"
+                    : "bg-slate-700 hover:bg-slate-600"
+                }`}
+              >
+                {speed}×
+              </button>
+            ))}
+            <span className="opacity-70 tabular-nums">
+              {playback.cursor}/{playback.replay.entries.length}
+            </span>
+            {playback.error && (
+              <span className="text-rose-300">{playback.error}</span>
+            )}
+            <button
+              onClick={backToSetup}
+              className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Online connection trouble */}
+      {online && net && netNotice(net) && (
+        <div className="absolute inset-x-0 top-28 z-10 flex justify-center pointer-events-none">
+          <div
+            className={`px-4 py-2 rounded-xl shadow-lg text-sm ${
+              net.desync != null ? "bg-rose-700/90" : "bg-slate-800/90"
+            }`}
+          >
+            {netNotice(net)}
+          </div>
+        </div>
+      )}
+
       {/* Turn Banner Overlay */}
       {turnBanner && (
         <div className="absolute inset-0 z-20 flex items-center justify-center pointer-events-none">
@@ -1511,23 +2787,55 @@ export default function App() {
         </div>
       )}
 
-      {log && (
+      {outcome && (
         <div className="absolute inset-0 z-20 flex items-center justify-center bg-black/60">
           <div className="px-8 py-6 rounded-2xl bg-slate-800 shadow-xl text-center">
-            <div className="text-3xl font-semibold mb-2">{log}</div>
-            <button
-              className="mt-2 px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600"
-              onClick={() => {
-                setUnits(initialUnits());
-                setTurn("player");
-                setLog(null);
-                setIntro(true);
-                // restart soundtrack for new battle
-                restartMusic(true);
-              }}
-            >
-              Restart the battle
-            </button>
+            <div className="text-3xl font-semibold mb-2">{outcome}</div>
+            {watching && (
+              <button
+                className="mt-2 mr-2 px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600"
+                onClick={restartReplay}
+              >
+                Watch again
+              </button>
+            )}
+            {!watching && (
+              <button
+                className="mt-2 mr-2 px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600"
+                onClick={exportReplay}
+              >
+                Export replay
+              </button>
+            )}
+            {campaignWin && (
+              <button
+                className="mt-2 mr-2 px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-500"
+                onClick={continueCampaign}
+              >
+                Continue the campaign
+              </button>
+            )}
+            {!online && !watching && !campaignWin && (
+              <button
+                className="mt-2 mr-2 px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600"
+                onClick={() => {
+                  resetBattle(setup);
+                  setIntro(true);
+                  // restart soundtrack for new battle
+                  restartMusic(true);
+                }}
+              >
+                Restart the battle
+              </button>
+            )}
+            {!campaignWin && (
+              <button
+                className="mt-2 px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600"
+                onClick={campaignFight ? backToMap : backToSetup}
+              >
+                {campaignFight ? "Back to the map" : "Change setup"}
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -1554,7 +2862,12 @@ export default function App() {
         <group position={[0, -0.05, 0]}>
           <mesh receiveShadow rotation={[-Math.PI / 2, 0, 0]}>
             <circleGeometry
-              args={[Math.max(GRID_COLS, GRID_ROWS) * TILE_SIZE * 0.65, 64]}
+              args={[
+                Math.max(battle.board.cols, battle.board.rows) *
+                  TILE_SIZE *
+                  0.65,
+                64,
+              ]}
             />
             <meshStandardMaterial color="#0f172a" />
           </mesh>
@@ -1562,9 +2875,19 @@ export default function App() {
 
         {/* Grid */}
         <Grid
+          board={battle.board}
           onTileClick={onTileClick}
-          highlights={reach}
+          onTileHover={setHoveredTile}
+          highlights={armedCast ? NO_TILES : reach}
           occupiedMap={occupied}
+          previewPath={
+            armedCast
+              ? aim?.landing && [{ x: selected.x, y: selected.y }, aim.landing]
+              : previewPath
+          }
+          sightLine={sightLine}
+          targetTiles={armedTargets}
+          areaTiles={areaKeys}
         />
 
         {/* Units */}
@@ -1573,27 +2896,31 @@ export default function App() {
             key={u.id}
             unit={u}
             isSelected={selectedId === u.id}
-            worldPos={worldFromGrid(u.x, u.y)}
+            worldPos={worldFromGrid(battle.board, u.x, u.y)}
             animState={animStateById[u.id] || { type: "idle" }}
             onClick={(e) => {
               e.stopPropagation();
               onUnitClick(u);
             }}
             onPointerOver={() => {
-              if (u.team === "enemy") setHoveredEnemyId(u.id);
-              if (u.team === "player" && canHealAlly(u)) setHoveredAllyId(u.id);
+              if (u.team === opponentTeam) setHoveredEnemyId(u.id);
+              if (u.team === humanTeam && canHealAlly(u))
+                setHoveredAllyId(u.id);
             }}
             onPointerOut={() => {
               if (hoveredEnemyId === u.id) setHoveredEnemyId(null);
               if (hoveredAllyId === u.id) setHoveredAllyId(null);
             }}
             isAttackableEnemy={
-              u.team === "enemy" && canThreatenEnemyThisTurn(u)
+              u.team === opponentTeam && canThreatenEnemyThisTurn(u)
             }
             isHoveredEnemy={hoveredEnemyId === u.id}
-            isHealableAlly={u.team === "player" && canHealAlly(u)}
+            isHealableAlly={u.team === humanTeam && canHealAlly(u)}
             isHoveredAlly={hoveredAllyId === u.id}
+            isBlockedTarget={u.team === opponentTeam && !!blockedShotAt(u)}
+            isOpponent={u.team === (opponentTeam ?? otherTeam(myTeam))}
             hitReaction={hitReactions[u.id]}
+            forecast={u.id === hoveredEnemyId ? forecast : null}
             floatTexts={floatTexts.filter((ft) => ft.unitId === u.id)}
           />
         ))}
@@ -1607,12 +2934,16 @@ export default function App() {
           minDistance={6}
           maxDistance={16}
         />
+        <SideCamera
+          flipped={hotSeat ? battle.turn === "enemy" : myTeam === "enemy"}
+          enabled={(hotSeat || online) && started && !intro}
+        />
         {intro && (
           <IntroCinematic
             active={intro}
             onEnd={() => {
               setIntro(false);
-              setTurn("player");
+              setStarted(true);
             }}
             playerFocus={playerFocus}
             enemyFocus={enemyFocus}
@@ -1625,7 +2956,7 @@ export default function App() {
       {/* HUD bottom: unit cards */}
       <div className="absolute bottom-0 inset-x-0 z-10 p-3 grid grid-cols-2 gap-3 pointer-events-none">
         {units
-          .filter((u) => u.team === "player")
+          .filter((u) => u.team === (humanTeam ?? myTeam))
           .map((u) => (
             <div
               key={u.id}
@@ -1634,13 +2965,40 @@ export default function App() {
               onClick={() => onUnitClick(u)}
             >
               <div className="flex items-center justify-between text-sm">
-                <span className="font-medium">{u.id.toUpperCase()}</span>
+                <span className="font-medium">
+                  {(u.name ?? u.id).toUpperCase()}
+                  {isStack(u) && (
+                    <span className="ml-1 px-1.5 rounded-md text-xs bg-slate-700">
+                      ×{creaturesLeft(u)}
+                    </span>
+                  )}
+                  {u.level && (
+                    <span className="ml-1 px-1.5 rounded-md text-xs bg-amber-700/70">
+                      Lv {u.level}
+                    </span>
+                  )}
+                </span>
                 <span className="opacity-80">HP: {u.hp}</span>
               </div>
               <div className="mt-1 text-xs opacity-80">
-                Attack: {u.atk} • Moves: {u.move} • Distance:{" "}
-                {u.attackRange ?? 1} {u.hasActed ? "• Made a move" : ""}
+                Attack: {u.atk} • Armor: {u.armor ?? 0} • Moves: {u.move} •
+                {battle.initiative && ` Speed: ${speedOf(u)} •`} Distance:{" "}
+                {u.attackRange ?? 1} {phaseLabel(u, battle)}
               </div>
+              {(u.gear?.length > 0 || u.items?.length > 0) && (
+                <div className="mt-1 flex gap-1 text-xs">
+                  <GearIcons unit={u} items={battle.items} />
+                </div>
+              )}
+              {u.effects?.length > 0 && (
+                <div className="mt-1 flex gap-2 text-xs">
+                  {u.effects.map((e) => (
+                    <span key={effectKey(e)}>
+                      <StatusIcons effects={[e]} /> {e.turns ?? "∞"}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
           ))}
       </div>
@@ -1649,12 +3007,3 @@ export default function App() {
     </div>
   );
 }
-
-// drei GLTF cache helper
-useGLTF.preload(PLAYER_KNIGHT || "");
-useGLTF.preload(PLAYER_ARCHER || "");
-useGLTF.preload(PLAYER_MAGE || "");
-useGLTF.preload(PLAYER_RIDER || "");
-useGLTF.preload(ENEMY_ASSASSIN || "");
-useGLTF.preload(ENEMY_DEVIL || "");
-useGLTF.preload(ENEMY_SKUL || "");
@@ -0,0 +1,426 @@
+import React, { useState } from "react";
+import {
+  campaignWon,
+  defaultSquad,
+  equipItem,
+  heroMaxHp,
+  isWorn,
+  PACK_SIZE,
+  squadCap,
+  unequipItem,
+  validateSquad,
+  WORN_SLOTS,
+  xpToNext,
+} from "./battle/index.js";
+
+// --------------------------- Campaign map ---------------------------
+// World map of the campaign (see battle/campaign.js): won battles, the next one
+// to fight and the ones still locked, the company of heroes with their levels
+// and wounds, the squad for the next battle, their equipment and the report of
+// the last one. `progress` is null until a campaign is begun; `report` is the
+// last finishBattle report, if any. `onChange(progress)` stores the progress
+// after a change of equipment.
+
+const abilityName = (roster, id) => roster.abilities?.[id]?.name ?? id;
+const heroName = (roster, type) => roster.units[type]?.name ?? type;
+const itemName = (roster, id) => roster.items?.[id]?.name ?? id;
+const SLOT_LABEL = { weapon: "Weapon", armor: "Armor", artifact: "Artifact" };
+
+// Living heroes the next battle starts with: the scenario's own picks first
+const startingSquad = (scenario, heroes) =>
+  [
+    ...defaultSquad(scenario).filter((type) => heroes[type]),
+    ...Object.keys(heroes),
+  ]
+    .filter((type, i, all) => all.indexOf(type) === i)
+    .slice(0, squadCap(scenario));
+
+function reportLine(roster, r) {
+  if (r.loot) return `Found: ${itemName(roster, r.item)}.`;
+  const name = heroName(roster, r.type);
+  if (r.fell) return `${name} fell in battle and is lost.`;
+  if (r.recruit) return `${name} joins the company.`;
+  const parts = [r.xp > 0 ? `${name} gains ${r.xp} XP` : `${name} rests`];
+  if (r.levelsGained > 0) parts.push(`reaches level ${r.level}`);
+  if (r.unlocked.length > 0)
+    parts.push(
+      `learns ${r.unlocked.map((id) => abilityName(roster, id)).join(", ")}`
+    );
+  return `${parts.join(", ")} (HP ${r.hp}/${r.maxHp}).`;
+}
+
+export default function CampaignScreen({
+  catalog,
+  progress,
+  report,
+  error,
+  onFight,
+  onChange,
+  onNew,
+  onBack,
+}) {
+  const { campaign, scenarios, roster } = catalog;
+  const won = !!progress && campaignWon(campaign, progress);
+  const next = progress && !won ? campaign.battles[progress.stage] : null;
+  const scenario = next && scenarios[next.scenario];
+  // { progress, squad } once the squad is changed by hand for that progress
+  const [picked, setPicked] = useState(null);
+  const squad =
+    picked?.progress === progress
+      ? picked.squad
+      : scenario
+      ? startingSquad(scenario, progress.heroes)
+      : [];
+  const [confirmNew, setConfirmNew] = useState(false);
+  const [outfitting, setOutfitting] = useState(null); // hero type picked for equipment
+  const [equipError, setEquipError] = useState(null);
+
+  const cap = scenario ? squadCap(scenario) : 0;
+  const problem = scenario && validateSquad(scenario, roster, squad);
+  const toggleHero = (type) =>
+    setPicked({
+      progress,
+      squad: squad.includes(type)
+        ? squad.filter((t) => t !== type)
+        : squad.length < cap
+        ? [...squad, type]
+        : squad,
+    });
+
+  const items = roster.items ?? {};
+  const outfitted =
+    progress?.heroes[outfitting] !== undefined
+      ? outfitting
+      : Object.keys(progress?.heroes ?? {})[0];
+  const gear = outfitted ? progress.heroes[outfitted].gear : [];
+  const pack = gear.filter((id) => !isWorn(items[id]));
+  const stock = [...new Set(progress?.inventory ?? [])].map((id) => [
+    id,
+    progress.inventory.filter((i) => i === id).length,
+  ]);
+  // Moves an item (see campaign.equipItem / unequipItem)
+  const change = (next) => {
+    try {
+      onChange(next());
+      setEquipError(null);
+    } catch (e) {
+      setEquipError(e.message);
+    }
+  };
+  const itemLabel = (id) => (
+    <span title={items[id]?.description}>
+      {items[id]?.icon ?? "🎒"} {itemName(roster, id)}
+    </span>
+  );
+
+  const nodeState = (i) =>
+    !progress || i > progress.stage
+      ? "locked"
+      : i < progress.stage
+      ? "won"
+      : "next";
+  const points = campaign.battles.map((b) => `${b.map.x},${b.map.y}`).join(" ");
+
+  return (
+    <div className="absolute inset-0 z-30 overflow-y-auto bg-slate-900/95">
+      <div className="max-w-4xl mx-auto p-6 space-y-6">
+        <div>
+          <div className="text-3xl font-semibold">{campaign.name}</div>
+          {campaign.description && (
+            <div className="text-sm opacity-80 mt-1">
+              {campaign.description}
+            </div>
+          )}
+        </div>
+
+        <section>
+          <div className="relative w-full aspect-[2/1] rounded-2xl shadow-lg overflow-hidden bg-gradient-to-br from-emerald-950 via-slate-800 to-stone-800">
+            <svg
+              className="absolute inset-0 w-full h-full"
+              viewBox="0 0 100 100"
+              preserveAspectRatio="none"
+            >
+              <polyline
+                points={points}
+                fill="none"
+                stroke="rgb(226 232 240 / 0.35)"
+                strokeWidth="0.6"
+                strokeDasharray="2 1.5"
+                vectorEffect="non-scaling-stroke"
+              />
+            </svg>
+            {campaign.battles.map((b, i) => {
+              const state = nodeState(i);
+              return (
+                <div
+                  key={i}
+                  className="absolute -translate-x-1/2 -translate-y-1/2 flex flex-col items-center"
+                  style={{ left: `${b.map.x}%`, top: `${b.map.y}%` }}
+                >
+                  <div
+                    className={`w-10 h-10 rounded-full flex items-center justify-center shadow-lg text-lg
+                      ${
+                        state === "won"
+                          ? "bg-emerald-600"
+                          : state === "next"
+                          ? "bg-amber-500 ring-4 ring-amber-300/60 animate-pulse"
+                          : "bg-slate-700 opacity-70"
+                      }`}
+                    title={scenarios[b.scenario].description}
+                  >
+                    {state === "won" ? "✓" : state === "next" ? "⚔" : "🔒"}
+                  </div>
+                  <div className="mt-1 px-2 py-0.5 rounded bg-black/50 text-xs whitespace-nowrap">
+                    {i + 1}. {scenarios[b.scenario].name}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </section>
+
+        {error && <div className="text-sm text-rose-300">{error}</div>}
+
+        {report && (
+          <section>
+            <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+              Last battle
+            </div>
+            <ul className="rounded-2xl p-4 shadow-lg bg-slate-800 text-sm space-y-1">
+              {report.map((r, i) => (
+                <li key={i}>{reportLine(roster, r)}</li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {won && (
+          <div className="rounded-2xl p-4 shadow-lg bg-emerald-800/60 text-lg">
+            Victory! The campaign is won.
+          </div>
+        )}
+
+        {progress && (
+          <section>
+            <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+              Company{scenario && ` — squad (${squad.length}/${cap})`}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {Object.entries(progress.heroes).map(([type, hero]) => {
+                const def = roster.units[type];
+                const maxHp = heroMaxHp(roster, type, hero.level);
+                const toNext = xpToNext(campaign, hero);
+                const inSquad = squad.includes(type);
+                const full = !inSquad && squad.length >= cap;
+                return (
+                  <button
+                    key={type}
+                    onClick={() => toggleHero(type)}
+                    disabled={!scenario || full}
+                    className={`text-left rounded-2xl p-3 shadow-lg transition
+                      ${
+                        inSquad
+                          ? "bg-emerald-700/60 ring-2 ring-emerald-400"
+                          : "bg-slate-800 hover:bg-slate-700"
+                      } ${full ? "opacity-40" : ""}`}
+                  >
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium">
+                        {def.portrait} {(def.name ?? type).toUpperCase()}
+                      </span>
+                      <span className="opacity-80">Level {hero.level}</span>
+                    </div>
+                    <div className="mt-1 h-1.5 rounded bg-slate-700 overflow-hidden">
+                      <div
+                        className={`h-full ${
+                          hero.hp < maxHp ? "bg-amber-400" : "bg-emerald-400"
+                        }`}
+                        style={{ width: `${(hero.hp / maxHp) * 100}%` }}
+                      />
+                    </div>
+                    <div className="mt-1 text-xs opacity-80">
+                      HP: {hero.hp}/{maxHp} • XP: {hero.xp}
+                      {toNext == null ? " (top level)" : ` (${toNext} to next)`}
+                    </div>
+                    {hero.gear.length > 0 && (
+                      <div className="mt-0.5 text-xs opacity-80">
+                        {hero.gear
+                          .map((id) => items[id]?.icon ?? "🎒")
+                          .join(" ")}
+                      </div>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+            {progress.fallen.length > 0 && (
+              <div className="text-xs opacity-60 mt-2">
+                Fallen:{" "}
+                {progress.fallen.map((t) => heroName(roster, t)).join(", ")}
+              </div>
+            )}
+          </section>
+        )}
+
+        {outfitted && (
+          <section>
+            <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+              Equipment
+            </div>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {Object.keys(progress.heroes).map((type) => (
+                <button
+                  key={type}
+                  onClick={() => setOutfitting(type)}
+                  className={`px-4 py-2 rounded-xl shadow-lg transition
+                    ${
+                      type === outfitted
+                        ? "bg-emerald-500 hover:bg-emerald-400"
+                        : "bg-slate-700 hover:bg-slate-600"
+                    }`}
+                >
+                  {roster.units[type].portrait} {heroName(roster, type)}
+                </button>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+              <div className="rounded-2xl p-4 shadow-lg bg-slate-800 space-y-2">
+                {WORN_SLOTS.map((slot) => {
+                  const id = gear.find((i) => items[i]?.slot === slot);
+                  return (
+                    <div
+                      key={slot}
+                      className="flex items-center justify-between gap-2"
+                    >
+                      <span>
+                        <span className="opacity-60">{SLOT_LABEL[slot]}:</span>{" "}
+                        {id ? itemLabel(id) : "—"}
+                      </span>
+                      {id && (
+                        <button
+                          onClick={() =>
+                            change(() => unequipItem(progress, outfitted, id))
+                          }
+                          className="px-2 py-1 rounded-lg text-xs bg-slate-700 hover:bg-slate-600"
+                        >
+                          Take off
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+                <div className="opacity-60 pt-1">
+                  Pack ({pack.length}/{PACK_SIZE})
+                </div>
+                {pack.map((id, i) => (
+                  <div
+                    key={`${id}-${i}`}
+                    className="flex items-center justify-between gap-2"
+                  >
+                    {itemLabel(id)}
+                    <button
+                      onClick={() =>
+                        change(() => unequipItem(progress, outfitted, id))
+                      }
+                      className="px-2 py-1 rounded-lg text-xs bg-slate-700 hover:bg-slate-600"
+                    >
+                      Take out
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="rounded-2xl p-4 shadow-lg bg-slate-800">
+                <div className="opacity-60 mb-2">
+                  Inventory (click to give to {heroName(roster, outfitted)})
+                </div>
+                {stock.length === 0 && <div className="opacity-60">Empty</div>}
+                <div className="flex flex-wrap gap-2">
+                  {stock.map(([id, count]) => {
+                    const full = !isWorn(items[id]) && pack.length >= PACK_SIZE;
+                    return (
+                      <button
+                        key={id}
+                        onClick={() =>
+                          change(() =>
+                            equipItem(progress, roster, outfitted, id)
+                          )
+                        }
+                        disabled={full}
+                        className={`px-3 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600
+                          ${full ? "opacity-40" : ""}`}
+                        title={`${items[id]?.description ?? ""}${
+                          isWorn(items[id])
+                            ? ` (${SLOT_LABEL[items[id].slot].toLowerCase()})`
+                            : " (consumable)"
+                        }`}
+                      >
+                        {items[id]?.icon ?? "🎒"} {itemName(roster, id)}
+                        {count > 1 && (
+                          <span className="ml-1 text-xs">×{count}</span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+            {equipError && (
+              <div className="text-sm text-rose-300 mt-2">{equipError}</div>
+            )}
+          </section>
+        )}
+
+        <div className="flex items-center gap-4">
+          {!progress && (
+            <button
+              onClick={onNew}
+              className="px-6 py-3 rounded-xl shadow-lg transition text-lg bg-emerald-500 hover:bg-emerald-400"
+            >
+              Begin the campaign
+            </button>
+          )}
+          {scenario && (
+            <button
+              onClick={() => onFight(squad)}
+              disabled={!!problem}
+              className={`px-6 py-3 rounded-xl shadow-lg transition text-lg
+                ${
+                  problem
+                    ? "bg-slate-600 opacity-50"
+                    : "bg-emerald-500 hover:bg-emerald-400"
+                }`}
+            >
+              Fight: {scenario.name}
+            </button>
+          )}
+          {progress &&
+            (confirmNew ? (
+              <button
+                onClick={() => {
+                  setConfirmNew(false);
+                  onNew();
+                }}
+                className="px-4 py-3 rounded-xl shadow-lg transition bg-rose-700 hover:bg-rose-600"
+              >
+                Abandon this campaign?
+              </button>
+            ) : (
+              <button
+                onClick={() => setConfirmNew(true)}
+                className="px-4 py-3 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+              >
+                New campaign
+              </button>
+            ))}
+          <button
+            onClick={onBack}
+            className="px-4 py-3 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+          >
+            Back
+          </button>
+          {problem && <span className="text-sm text-rose-300">{problem}</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
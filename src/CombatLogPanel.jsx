@@ -0,0 +1,85 @@
+import React, { useEffect, useRef, useState } from "react";
+
+// --------------------------- Combat log panel ---------------------------
+// Side panel listing what happened so far, newest at the bottom (kept in view
+// while following). Filters by side; `onExport` downloads the visible lines.
+// `entries` = [{ id, round, team, text }], `teamLabel(team)` names a side.
+
+const TEAM_COLOR = { player: "text-emerald-300", enemy: "text-rose-300" };
+
+export default function CombatLogPanel({
+  entries,
+  teamLabel,
+  onExport,
+  onClose,
+}) {
+  const [filter, setFilter] = useState("all"); // "all" | team
+  const listRef = useRef(null);
+  const shown =
+    filter === "all" ? entries : entries.filter((e) => e.team === filter);
+
+  // Follow new lines unless the reader scrolled up
+  useEffect(() => {
+    const el = listRef.current;
+    if (!el) return;
+    const nearBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 60;
+    if (nearBottom || shown.length <= 1) el.scrollTop = el.scrollHeight;
+  }, [shown.length]);
+
+  const filters = [
+    ["all", "All"],
+    ["player", teamLabel("player")],
+    ["enemy", teamLabel("enemy")],
+  ];
+
+  return (
+    <div className="absolute right-3 top-32 bottom-32 z-10 w-72 flex flex-col rounded-2xl bg-slate-800/85 backdrop-blur shadow-lg">
+      <div className="flex items-center justify-between px-3 pt-2">
+        <span className="text-sm font-medium">Combat log</span>
+        <div className="flex gap-1">
+          <button
+            onClick={() => onExport(shown)}
+            disabled={shown.length === 0}
+            className="px-2 py-0.5 rounded-lg text-xs bg-slate-700 hover:bg-slate-600"
+            title="Download these lines as text"
+          >
+            Export
+          </button>
+          <button
+            onClick={onClose}
+            className="px-2 py-0.5 rounded-lg text-xs bg-slate-700 hover:bg-slate-600"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+      <div className="flex gap-1 px-3 py-2">
+        {filters.map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setFilter(id)}
+            className={`px-2 py-0.5 rounded-lg text-xs ${
+              id === filter
+                ? "bg-emerald-600"
+                : "bg-slate-700 hover:bg-slate-600"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div
+        ref={listRef}
+        className="flex-1 overflow-y-auto px-3 pb-2 space-y-0.5 text-xs"
+      >
+        {shown.length === 0 && <div className="opacity-60">Nothing yet.</div>}
+        {shown.map((e) => (
+          <div key={e.id} className={TEAM_COLOR[e.team] ?? "opacity-80"}>
+            <span className="opacity-50 mr-1">R{e.round}</span>
+            {e.text}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+
+// --------------------------- Online lobby ---------------------------
+// Shown between the setup screen and the battle of an online game: the lobby
+// code to pass on while the host waits, connection progress, or why it failed.
+// `net` = { role, code, status, error }.
+
+const STATUS_TEXT = {
+  connecting: "Connecting to the relay...",
+  waiting: "Waiting for the other player to join...",
+  connected: "Connected, starting the battle...",
+  reconnecting: "Connection lost, reconnecting...",
+  closed: "Disconnected.",
+};
+
+export default function LobbyPanel({ net, onCancel }) {
+  return (
+    <div className="absolute inset-0 z-40 flex items-center justify-center bg-slate-900/95">
+      <div className="w-full max-w-md px-6 py-5 rounded-2xl bg-slate-800 shadow-xl space-y-4 text-center">
+        <div className="text-xl font-semibold">
+          {net.role === "guest" ? "Joining lobby" : "Online lobby"}
+        </div>
+        {net.code && (
+          <div>
+            <div className="text-xs uppercase tracking-wide opacity-60">
+              Lobby code
+            </div>
+            <div className="text-4xl font-mono tracking-[0.3em] mt-1">
+              {net.code}
+            </div>
+          </div>
+        )}
+        {net.error ? (
+          <div className="text-sm text-rose-300">{net.error}</div>
+        ) : (
+          <div className="text-sm opacity-80">{STATUS_TEXT[net.status]}</div>
+        )}
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600"
+        >
+          {net.error ? "Back" : "Cancel"}
+        </button>
+      </div>
+    </div>
+  );
+}
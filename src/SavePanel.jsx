@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import { AUTOSAVE_SLOT, SAVE_SLOTS, deleteSave, listSaves } from "./saves.js";
+
+// --------------------------- Save slots panel ---------------------------
+// Modal listing the autosave (load only) and the named manual slots.
+// `onSave(slot, name)` / `onLoad(slot)` may return promises; their errors are
+// shown inline. Saving is offered only when `canSave`.
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : "");
+
+export default function SavePanel({
+  catalog,
+  canSave,
+  defaultName,
+  onSave,
+  onLoad,
+  onClose,
+}) {
+  const [saves, setSaves] = useState(null); // slot -> summary
+  const [names, setNames] = useState({}); // slot -> name being typed
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const refresh = () =>
+    listSaves()
+      .then(setSaves)
+      .catch((e) => setError(e.message));
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Run a slot operation, show its error and reload the list afterwards
+  const run = async (fn) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await fn();
+    } catch (e) {
+      console.error(e);
+      setError(e.message);
+    } finally {
+      setWorking(false);
+      refresh();
+    }
+  };
+
+  const describe = (s) => {
+    const scenario = catalog?.scenarios[s.scenarioId];
+    return `${scenario?.name ?? s.scenarioId} • round ${s.round} • ${
+      s.heroes
+    } heroes • ${formatTime(s.savedAt)}`;
+  };
+
+  const slotRow = (slot, title, manual) => {
+    const s = saves?.[slot];
+    return (
+      <div key={slot} className="rounded-2xl p-3 bg-slate-700/60 space-y-2">
+        <div className="flex items-center justify-between text-sm">
+          <span className="font-medium">{s?.name || title}</span>
+          <span className="text-xs opacity-60">{title}</span>
+        </div>
+        <div className="text-xs opacity-70">{s ? describe(s) : "Empty"}</div>
+        <div className="flex items-center gap-2">
+          {manual && canSave && (
+            <>
+              <input
+                value={names[slot] ?? ""}
+                onChange={(e) =>
+                  setNames((n) => ({ ...n, [slot]: e.target.value }))
+                }
+                placeholder={defaultName}
+                maxLength={40}
+                className="flex-1 px-2 py-1 rounded-lg bg-slate-900 text-sm"
+              />
+              <button
+                disabled={working}
+                onClick={() =>
+                  run(() => onSave(slot, names[slot]?.trim() || defaultName))
+                }
+                className="px-3 py-1 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-sm"
+              >
+                Save
+              </button>
+            </>
+          )}
+          {s && (
+            <button
+              disabled={working}
+              onClick={() => run(() => onLoad(slot))}
+              className="px-3 py-1 rounded-lg bg-slate-600 hover:bg-slate-500 text-sm"
+            >
+              Load
+            </button>
+          )}
+          {s && manual && (
+            <button
+              disabled={working}
+              onClick={() => run(() => deleteSave(slot))}
+              className="px-3 py-1 rounded-lg bg-slate-600 hover:bg-rose-600 text-sm"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="absolute inset-0 z-40 flex items-center justify-center bg-black/60">
+      <div className="w-full max-w-lg px-6 py-5 rounded-2xl bg-slate-800 shadow-xl space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-xl font-semibold">Saved battles</div>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600"
+          >
+            Close
+          </button>
+        </div>
+        {!canSave && (
+          <div className="text-xs opacity-60">
+            Saving is possible during your turn.
+          </div>
+        )}
+        {saves == null && !error && <div className="text-sm">Loading...</div>}
+        {saves && (
+          <>
+            {slotRow(AUTOSAVE_SLOT, "Autosave", false)}
+            {SAVE_SLOTS.map((slot, i) => slotRow(slot, `Slot ${i + 1}`, true))}
+          </>
+        )}
+        {error && <div className="text-sm text-rose-300">{error}</div>}
+      </div>
+    </div>
+  );
+}
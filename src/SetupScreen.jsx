@@ -0,0 +1,425 @@
+import React, { useState } from "react";
+import {
+  DIFFICULTIES,
+  defaultSquad,
+  playableTypes,
+  squadCap,
+  validateSquad,
+} from "./battle/index.js";
+import { defaultRelayUrl } from "./net/relayClient.js";
+import { loadPreferences } from "./preferences.js";
+
+// --------------------------- Battle setup ---------------------------
+// Pre-battle menu: scenario, squad (up to the scenario's cap), opponent (AI, a
+// second person in hot-seat, or online through a relay), turn order (whole
+// sides or initiative) and AI difficulty (the last one picked is remembered
+// across restarts). Online, the host picks the battle; the guest only needs
+// the lobby code.
+// `catalog` = { ids, scenarios: { id: scenario }, roster, campaign }.
+// `onLoadGame` (optional) opens the saved battles instead; `onCampaign`
+// (optional) the campaign map; `onWatchReplay` (optional) picks a replay file
+// and may reject with the reason it cannot be shown.
+
+const DIFFICULTY_LABEL = { easy: "Easy", normal: "Normal", hard: "Hard" };
+const MODES = [
+  { id: "ai", label: "Versus AI" },
+  { id: "hotseat", label: "Hot-seat (2 players)" },
+  { id: "online", label: "Online" },
+];
+const TURN_ORDERS = [
+  {
+    initiative: false,
+    label: "Sides",
+    hint: "Each side moves all its units, then the other side answers",
+  },
+  {
+    initiative: true,
+    label: "Initiative",
+    hint: "Every unit takes its own turn each round, fastest first, whichever side it is on",
+  },
+];
+const DIFFICULTY_HINT = {
+  easy: "Enemies act at random",
+  normal: "Enemies weigh targets and danger",
+  hard: "Enemies simulate the next turns before acting",
+};
+
+const storedDifficulty = () => {
+  const { difficulty } = loadPreferences();
+  return DIFFICULTIES.includes(difficulty) ? difficulty : "normal";
+};
+
+export default function SetupScreen({
+  catalog,
+  initial,
+  onStart,
+  onLoadGame,
+  onCampaign,
+  onWatchReplay,
+}) {
+  const { ids, scenarios, roster } = catalog;
+  const [scenarioId, setScenarioId] = useState(initial?.scenarioId ?? ids[0]);
+  const scenario = scenarios[scenarioId];
+  const [squad, setSquad] = useState(
+    () => initial?.squad ?? defaultSquad(scenario)
+  );
+  const [difficulty, setDifficulty] = useState(
+    () => initial?.difficulty ?? storedDifficulty()
+  );
+
+  const [mode, setMode] = useState(initial?.mode ?? "ai");
+  const [initiative, setInitiative] = useState(!!initial?.initiative);
+  const [online, setOnline] = useState(
+    () => initial?.online ?? { url: defaultRelayUrl(), role: "host", code: "" }
+  );
+  const [replayError, setReplayError] = useState(null);
+  const [localRelay, setLocalRelay] = useState(null); // { port, addresses } | { error }
+  const joining = mode === "online" && online.role === "guest";
+  const patchOnline = (patch) => setOnline((o) => ({ ...o, ...patch }));
+
+  const cap = squadCap(scenario);
+  const problem =
+    mode === "online" && !online.url.trim()
+      ? "enter the relay address"
+      : joining
+      ? online.code.trim()
+        ? null
+        : "enter the lobby code"
+      : validateSquad(scenario, roster, squad);
+
+  // Electron only: run the relay inside this app so LAN players can connect
+  const startLocalRelay = () =>
+    window.relay
+      .start()
+      .then((r) => {
+        setLocalRelay(r);
+        patchOnline({ url: `ws://localhost:${r.port}` });
+      })
+      .catch((e) => setLocalRelay({ error: e.message }));
+
+  const pickScenario = (id) => {
+    setScenarioId(id);
+    setSquad(defaultSquad(scenarios[id]));
+  };
+
+  const toggleHero = (type) =>
+    setSquad((s) =>
+      s.includes(type)
+        ? s.filter((t) => t !== type)
+        : s.length < cap
+        ? [...s, type]
+        : s
+    );
+
+  return (
+    <div className="absolute inset-0 z-30 overflow-y-auto bg-slate-900/95">
+      <div className="max-w-4xl mx-auto p-6 space-y-6">
+        <div className="text-3xl font-semibold">Prepare for battle</div>
+
+        <section>
+          <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+            Battlefield
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {ids.map((id) => {
+              const sc = scenarios[id];
+              return (
+                <button
+                  key={id}
+                  onClick={() => pickScenario(id)}
+                  className={`text-left rounded-2xl p-4 shadow-lg bg-slate-800 hover:bg-slate-700 transition
+                    ${id === scenarioId ? "ring-2 ring-emerald-400" : ""}`}
+                >
+                  <div className="font-medium">{sc.name}</div>
+                  <div className="text-xs opacity-70 mt-1">
+                    {sc.board.cols}×{sc.board.rows} •{" "}
+                    {sc.units.filter((u) => u.team === "enemy").length} enemies
+                    • up to {squadCap(sc)} heroes
+                  </div>
+                  {sc.description && (
+                    <div className="text-sm opacity-80 mt-2">
+                      {sc.description}
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </section>
+
+        <section>
+          <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+            Squad ({squad.length}/{cap})
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {playableTypes(roster).map((type) => {
+              const def = roster.units[type];
+              const picked = squad.includes(type);
+              const full = !picked && squad.length >= cap;
+              return (
+                <button
+                  key={type}
+                  onClick={() => toggleHero(type)}
+                  disabled={full}
+                  className={`text-left rounded-2xl p-3 shadow-lg transition
+                    ${
+                      picked
+                        ? "bg-emerald-700/60 ring-2 ring-emerald-400"
+                        : "bg-slate-800 hover:bg-slate-700"
+                    } ${full ? "opacity-40" : ""}`}
+                >
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-medium">
+                      {(def.name ?? type).toUpperCase()}
+                    </span>
+                    <span className="opacity-80">
+                      HP: {def.hp}
+                      {def.count > 1 && ` ×${def.count}`}
+                    </span>
+                  </div>
+                  <div className="mt-1 text-xs opacity-80">
+                    Attack: {def.atk} • Armor:{" "}
+                    {def.armor ?? roster.classes[def.class]?.armor ?? 0} •
+                    Moves: {def.move} • Speed: {def.speed ?? def.move} •
+                    Distance:{" "}
+                    {def.attackRange ??
+                      roster.classes[def.class]?.attackRange ??
+                      1}
+                  </div>
+                  {def.abilities?.length > 0 && (
+                    <div className="mt-0.5 text-xs opacity-70">
+                      ✨{" "}
+                      {def.abilities
+                        .map((id) => roster.abilities?.[id]?.name ?? id)
+                        .join(", ")}
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </section>
+
+        <section>
+          <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+            Opponent
+          </div>
+          <div className="flex gap-2">
+            {MODES.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setMode(m.id)}
+                className={`px-4 py-2 rounded-xl shadow-lg transition
+                  ${
+                    m.id === mode
+                      ? "bg-emerald-500 hover:bg-emerald-400"
+                      : "bg-slate-700 hover:bg-slate-600"
+                  }`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          {mode === "hotseat" && (
+            <div className="text-xs opacity-70 mt-2">
+              Player 2 commands this battlefield&apos;s enemy army on the same
+              screen.
+            </div>
+          )}
+        </section>
+
+        {mode === "online" && (
+          <section className="space-y-3">
+            <div className="text-sm uppercase tracking-wide opacity-60">
+              Online
+            </div>
+            <div className="flex gap-2">
+              {[
+                ["host", "Host a lobby"],
+                ["guest", "Join a lobby"],
+              ].map(([role, label]) => (
+                <button
+                  key={role}
+                  onClick={() => patchOnline({ role })}
+                  className={`px-4 py-2 rounded-xl shadow-lg transition
+                    ${
+                      role === online.role
+                        ? "bg-emerald-500 hover:bg-emerald-400"
+                        : "bg-slate-700 hover:bg-slate-600"
+                    }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                value={online.url}
+                onChange={(e) => patchOnline({ url: e.target.value })}
+                placeholder="ws://host:8787"
+                className="w-72 px-3 py-2 rounded-xl bg-slate-800 font-mono text-sm"
+                title="Relay server address (npm run relay)"
+              />
+              {joining && (
+                <input
+                  value={online.code}
+                  onChange={(e) =>
+                    patchOnline({ code: e.target.value.toUpperCase() })
+                  }
+                  placeholder="Lobby code"
+                  maxLength={5}
+                  className="w-32 px-3 py-2 rounded-xl bg-slate-800 font-mono text-sm tracking-widest"
+                />
+              )}
+              {window.relay && !localRelay?.port && (
+                <button
+                  onClick={startLocalRelay}
+                  className="px-4 py-2 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+                >
+                  Start a relay on this computer
+                </button>
+              )}
+            </div>
+            {localRelay?.port && (
+              <div className="text-xs opacity-70">
+                Relay running. Other players connect to{" "}
+                {(localRelay.addresses.length
+                  ? localRelay.addresses
+                  : ["localhost"]
+                )
+                  .map((a) => `ws://${a}:${localRelay.port}`)
+                  .join(" or ")}
+              </div>
+            )}
+            {localRelay?.error && (
+              <div className="text-xs text-rose-300">{localRelay.error}</div>
+            )}
+            <div className="text-xs opacity-70">
+              {joining
+                ? "The host picks the battlefield; you command the enemy army."
+                : "You command the heroes; the player who joins commands the enemy army."}
+            </div>
+          </section>
+        )}
+
+        {!joining && (
+          <section>
+            <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+              Turn order
+            </div>
+            <div className="flex gap-2">
+              {TURN_ORDERS.map((o) => (
+                <button
+                  key={o.label}
+                  onClick={() => setInitiative(o.initiative)}
+                  className={`px-4 py-2 rounded-xl shadow-lg transition
+                  ${
+                    o.initiative === initiative
+                      ? "bg-emerald-500 hover:bg-emerald-400"
+                      : "bg-slate-700 hover:bg-slate-600"
+                  }`}
+                >
+                  {o.label}
+                </button>
+              ))}
+            </div>
+            <div className="text-xs opacity-70 mt-2">
+              {TURN_ORDERS.find((o) => o.initiative === initiative).hint}
+            </div>
+          </section>
+        )}
+
+        {mode === "ai" && (
+          <section>
+            <div className="text-sm uppercase tracking-wide opacity-60 mb-2">
+              Enemy AI
+            </div>
+            <div className="flex gap-2">
+              {DIFFICULTIES.map((d) => (
+                <button
+                  key={d}
+                  onClick={() => setDifficulty(d)}
+                  className={`px-4 py-2 rounded-xl shadow-lg transition
+                  ${
+                    d === difficulty
+                      ? "bg-emerald-500 hover:bg-emerald-400"
+                      : "bg-slate-700 hover:bg-slate-600"
+                  }`}
+                >
+                  {DIFFICULTY_LABEL[d]}
+                </button>
+              ))}
+            </div>
+            <div className="text-xs opacity-70 mt-2">
+              {DIFFICULTY_HINT[difficulty]}
+            </div>
+          </section>
+        )}
+
+        <div className="flex items-center gap-4">
+          <button
+            onClick={() =>
+              onStart({
+                scenarioId,
+                scenario,
+                roster,
+                squad,
+                difficulty,
+                mode,
+                initiative,
+                ...(mode === "online" && {
+                  online: { ...online, url: online.url.trim() },
+                }),
+              })
+            }
+            disabled={!!problem}
+            className={`px-6 py-3 rounded-xl shadow-lg transition text-lg
+              ${
+                problem
+                  ? "bg-slate-600 opacity-50"
+                  : "bg-emerald-500 hover:bg-emerald-400"
+              }`}
+          >
+            {mode !== "online"
+              ? "To battle!"
+              : joining
+              ? "Join lobby"
+              : "Open lobby"}
+          </button>
+          {onLoadGame && (
+            <button
+              onClick={onLoadGame}
+              className="px-4 py-3 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+            >
+              Load game
+            </button>
+          )}
+          {onCampaign && (
+            <button
+              onClick={onCampaign}
+              className="px-4 py-3 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+            >
+              Campaign
+            </button>
+          )}
+          {onWatchReplay && (
+            <button
+              onClick={() => {
+                setReplayError(null);
+                onWatchReplay().catch((e) => setReplayError(e.message));
+              }}
+              className="px-4 py-3 rounded-xl shadow-lg transition bg-slate-700 hover:bg-slate-600"
+            >
+              Watch replay
+            </button>
+          )}
+          {(problem || replayError) && (
+            <span className="text-sm text-rose-300">
+              {replayError ?? problem}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
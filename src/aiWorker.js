@@ -0,0 +1,52 @@
+import { planTeamTurn } from "./battle/index.js";
+
+// --------------------------- AI worker client ---------------------------
+// planTurn(state) -> Promise<action[]> for the side to move. Runs in a Web
+// Worker; if the worker cannot start (or dies) planning falls back to the main
+// thread, which is slower but gives the same actions.
+
+let worker = null;
+let workerBroken = false;
+let nextId = 1;
+const pending = new Map(); // id -> { resolve, reject, state }
+
+function failAll(reason) {
+  console.warn("AI worker unavailable, planning on the main thread", reason);
+  workerBroken = true;
+  worker?.terminate();
+  worker = null;
+  // nothing is lost: re-plan whatever was waiting locally
+  pending.forEach(({ resolve, state }) => resolve(planTeamTurn(state)));
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker || workerBroken) return worker;
+  try {
+    worker = new Worker(new URL("./battle/ai.worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (e) {
+    failAll(e);
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return;
+    pending.delete(data.id);
+    if (data.error) job.reject(new Error(data.error));
+    else job.resolve(data.actions);
+  };
+  worker.onerror = (e) => failAll(e.message ?? e);
+  return worker;
+}
+
+export function planTurn(state) {
+  const w = getWorker();
+  if (!w) return Promise.resolve(planTeamTurn(state));
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, state });
+    w.postMessage({ id, state });
+  });
+}
@@ -0,0 +1,143 @@
+import { inBounds, key, manhattan } from "./grid.js";
+import { attackPower } from "./stacks.js";
+import { blockedSet } from "./state.js";
+
+// --------------------------- Abilities ---------------------------
+// Abilities are data: roster.json lists them under "abilities" and each unit
+// type names the ones it knows. The definitions are copied into
+// BattleState.abilities so the engine, the AI worker and saves need nothing else.
+//
+//   { name, description?, effect: "damage" | "heal" | "status",
+//     target: "enemy" | "ally" | "tile",
+//     range?    max distance from the caster (default: its attack range)
+//     area?     { shape: "single" | "diamond" | "square" | "cross", radius? }
+//     affects?  "enemies" | "allies" | "all" (default: enemies for damage or
+//               enemy targets, else allies; the caster is only hit by its own
+//               ability when `self` is set)
+//     power?    strength per unit hit (default: the caster's attack power,
+//               which grows with its stack, see stacks.js): a strike for
+//               damage (see combat.js), a 0..power roll for heals; "status"
+//               abilities do not roll
+//     bonus?    added to power
+//     cooldown? rounds the ability rests after use (0 = every turn)
+//     sight?    needs a clear line to the target tile, like ranged attacks
+//     self?     an ally-targeted ability may pick (and affect) the caster
+//     charge?   the caster rushes along a straight, clear line to the target
+//               and strikes from the adjacent tile (needs its move)
+//     push?     shoves every unit hit that many tiles away from the caster
+//     applies? } { kind, turns, power? } status effect put on every unit hit
+//               (see effects.js); a damaging ability only on a hit that hurts
+
+export const ABILITY_EFFECTS = ["damage", "heal", "status"];
+export const ABILITY_TARGETS = ["enemy", "ally", "tile"];
+export const ABILITY_SHAPES = ["single", "diamond", "square", "cross"];
+export const ABILITY_AFFECTS = ["enemies", "allies", "all"];
+
+export const abilityOf = (state, abilityId) =>
+  state.abilities?.[abilityId] ?? null;
+
+// Abilities the unit knows, as [id, definition] pairs in roster order
+export const unitAbilities = (state, unit) =>
+  (unit?.abilities ?? [])
+    .map((id) => [id, abilityOf(state, id)])
+    .filter(([, a]) => a);
+
+// Rounds until the ability can be used again (0 = ready). `unit.cooldowns`
+// holds the round each used ability is ready again.
+export const cooldownLeft = (state, unit, abilityId) =>
+  Math.max(0, (unit.cooldowns?.[abilityId] ?? 0) - state.round);
+
+export const readyRound = (state, ability) =>
+  state.round + (ability.cooldown ?? 0) + 1;
+
+// Tiles covered by an area centred on `at`, inside the board
+export function areaTiles(board, at, area = { shape: "single" }) {
+  const r = area.shape === "single" ? 0 : area.radius ?? 1;
+  const tiles = [];
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      const inShape =
+        area.shape === "square" ||
+        (area.shape === "cross" && (dx === 0 || dy === 0)) ||
+        ((area.shape === "diamond" || area.shape === "single") &&
+          Math.abs(dx) + Math.abs(dy) <= r);
+      const p = { x: at.x + dx, y: at.y + dy };
+      if (inShape && inBounds(board, p)) tiles.push(p);
+    }
+  }
+  return tiles;
+}
+
+const affectsOf = (ability) =>
+  ability.affects ??
+  (ability.effect === "damage" || ability.target === "enemy"
+    ? "enemies"
+    : "allies");
+
+// Living units an ability cast by `caster` hits on `tiles`
+export function unitsHit(state, caster, ability, tiles) {
+  const on = new Set(tiles.map((p) => key(p.x, p.y)));
+  const affects = affectsOf(ability);
+  return state.units.filter(
+    (u) =>
+      (u.id !== caster.id || ability.self) &&
+      u.hp > 0 &&
+      on.has(key(u.x, u.y)) &&
+      (affects === "all" || (affects === "allies") === (u.team === caster.team))
+  );
+}
+
+// Charge: the clear straight rush from the caster towards `target` (at most
+// `maxDist` tiles away) -> { landing, path }, or null. The landing tile is the
+// one next to the target (the caster's own tile when already adjacent).
+export function chargeRush(state, caster, target, maxDist) {
+  const dx = Math.sign(target.x - caster.x);
+  const dy = Math.sign(target.y - caster.y);
+  if (dx !== 0 && dy !== 0) return null; // rows and columns only
+  const dist = manhattan(caster, target);
+  if (dist === 0 || dist > maxDist) return null;
+  const blocked = blockedSet(state, caster.id);
+  const path = [];
+  for (let i = 1; i < dist; i++) {
+    const p = { x: caster.x + dx * i, y: caster.y + dy * i };
+    if (blocked.has(key(p.x, p.y))) return null;
+    path.push(p);
+  }
+  return {
+    landing: path[path.length - 1] ?? { x: caster.x, y: caster.y },
+    path,
+  };
+}
+
+// Where a push of `distance` tiles away from `from` leaves `unit`
+export function pushLanding(state, unit, from, distance) {
+  const dx = Math.sign(unit.x - from.x);
+  const dy = dx !== 0 && unit.y !== from.y ? 0 : Math.sign(unit.y - from.y);
+  const blocked = blockedSet(state, unit.id);
+  let at = { x: unit.x, y: unit.y };
+  for (let i = 0; i < distance; i++) {
+    const next = { x: at.x + dx, y: at.y + dy };
+    if (!inBounds(state.board, next) || blocked.has(key(next.x, next.y))) break;
+    at = next;
+  }
+  return at;
+}
+
+// The unit standing on a target tile, if any
+export const unitAt = (state, p) =>
+  state.units.find((u) => u.hp > 0 && u.x === p.x && u.y === p.y) ?? null;
+
+export const targetUnit = (state, caster, ability, at) => {
+  const u = unitAt(state, at);
+  if (!u) return null;
+  if (ability.target === "enemy") return u.team !== caster.team ? u : null;
+  if (ability.target === "ally")
+    return u.team === caster.team && (ability.self || u.id !== caster.id)
+      ? u
+      : null;
+  return u;
+};
+
+// Ability power against one unit: top of the 0..power roll
+export const abilityPower = (caster, ability) =>
+  (ability.power ?? attackPower(caster)) + (ability.bonus ?? 0);
@@ -0,0 +1,439 @@
+import { abilityPower, areaTiles, unitAbilities } from "./abilities.js";
+import { strikeOdds } from "./combat.js";
+import { isStunned, shieldLeft, STATUS_EFFECTS } from "./effects.js";
+import { key, manhattan, movementField, parseKey } from "./grid.js";
+import { parseSeed, nextFloat } from "./rng.js";
+import { unitItems } from "./items.js";
+import {
+  applyAction,
+  attackForecast,
+  attackRange,
+  canAct,
+  canAttack,
+  canCast,
+  canMove,
+  canTargetCast,
+  castPreview,
+  castTargets,
+  DEFEND_BONUS,
+  forecastStrike,
+  guardOf,
+  legalActions,
+  reachableTiles,
+} from "./rules.js";
+import { attackPower, healCap } from "./stacks.js";
+import { blockedSet, getUnit, otherTeam, unitsOf } from "./state.js";
+import { terrainOf, terrainStepCost } from "./terrain.js";
+
+// --------------------------- Enemy AI ---------------------------
+// One profile per difficulty (state.difficulty):
+// - easy:   a random legal action
+// - normal: the utility scoring below
+// - hard:   Monte-Carlo search over the best-scored turn plans (see searchPlan)
+//
+// Utility scoring: every (tile, action) pair the unit can still reach this turn
+// gets a score and the best one wins. Odds come from the combat forecast (hit,
+// damage, crit, armor and cover; see combat.js).
+// - Attacks are worth the kill chance, the damage as a share of the target's hp
+//   and how wounded it already is (focus fire), plus the target's threat, minus
+//   what the retaliation they draw would cost (weighed like danger and kills).
+//   Abilities add that up over every unit they hit (allies caught in the blast
+//   count against it) and pay a little for the cooldown they start, or more
+//   for the consumable they use up (items cast like abilities). Status
+//   effects they apply count as their damage/healing over time, a stun as the
+//   threat it takes out of the next turn; shields count as extra armor.
+// - Tiles cost the damage the other side could deal there next turn (stunned
+//   foes deal none), what the terrain's own effect would cost and, while
+//   healthy, the distance still to cover before a target is in attack range
+//   (so ranged units like the skull stop at range instead of closing in).
+// - Units below RETREAT_HP stop advancing and fear danger twice as much.
+
+export const DIFFICULTIES = ["easy", "normal", "hard"];
+
+// search time per enemy unit, shared by its move and its action
+export const HARD_BUDGET_MS = 250;
+const HARD_CANDIDATES = 6; // turn plans the search compares
+
+const WEIGHTS = {
+  kill: 12, // killing blow
+  damage: 6, // expected damage / target hp
+  focus: 3, // share of the target's hp already lost
+  threat: 0.5, // per point of target atk and per ability it knows
+  heal: 5, // expected healing / patient max hp
+  friendlyFire: 1.5, // per ally hit, times what the hit would be worth on a foe
+  cooldown: 0.2, // per round an ability then rests
+  item: 0.5, // a consumable used up
+  stun: 1, // per point of threat of the stunned foe
+  danger: 4, // expected incoming damage next turn / own hp
+  approach: 0.4, // per tile still to walk before a target is in range
+};
+const RETREAT_HP = 0.35; // share of max hp
+
+const threatOf = (u) => attackPower(u) + (u.abilities?.length ?? 0);
+
+// "x,y" -> opposing units that could attack that tile next turn (ignoring sight)
+function threatMap(state, unit) {
+  const stepCost = terrainStepCost(state.board);
+  const threats = new Map();
+  const active = unitsOf(state, otherTeam(unit.team)).filter(
+    (foe) => !isStunned(foe)
+  );
+  active.forEach((foe) => {
+    const hit = new Set();
+    movementField(
+      state.board,
+      foe,
+      foe.move,
+      blockedSet(state, foe.id),
+      stepCost
+    ).forEach((p) => {
+      const range = attackRange(state, foe, p);
+      for (let dx = -range; dx <= range; dx++) {
+        const span = range - Math.abs(dx);
+        for (let dy = -span; dy <= span; dy++) hit.add(key(p.x + dx, p.y + dy));
+      }
+    });
+    hit.forEach((k) => threats.set(k, [...(threats.get(k) ?? []), foe]));
+  });
+  return threats;
+}
+
+// Walking-cost field from a target to every tile (flooding around units)
+const fieldFrom = (state, unit, target) =>
+  movementField(
+    state.board,
+    target,
+    Infinity,
+    blockedSet(state, unit.id),
+    terrainStepCost(state.board)
+  );
+
+// Every turn plan { score, tile, action } the unit has left, best first
+function scoredPlans(state, u) {
+  const foes = unitsOf(state, otherTeam(u.team));
+  if (foes.length === 0) return [];
+
+  const retreating = u.hp <= (u.maxHp ?? u.hp) * RETREAT_HP;
+  const threats = threatMap(state, u);
+  const foeFields = retreating
+    ? []
+    : foes.map((t) => [t, fieldFrom(state, u, t)]);
+  const range = (tile) => attackRange(state, u, tile);
+
+  // Expected damage taken on `tile` next turn, with `extra` cover
+  const danger = (tile, extra = 0) => {
+    const soak = guardOf(state, u, tile) + shieldLeft(u) + extra;
+    return (threats.get(key(tile.x, tile.y)) ?? []).reduce(
+      (sum, foe) =>
+        sum + strikeOdds(foe, u, attackPower(foe), soak, u.hp).damage,
+      0
+    );
+  };
+
+  // hp the tile's own status effect would cost (a swamp's poison)
+  const hazard = (tile) => {
+    const effect = terrainOf(state.board, tile).effect;
+    return effect && STATUS_EFFECTS[effect.kind].damage
+      ? (effect.power ?? 0) * effect.turns
+      : 0;
+  };
+
+  // Tiles still to walk before the closest target is in attack range
+  const gap = (tile) =>
+    Math.min(
+      ...foeFields.map(([t, field]) => {
+        const dist =
+          field.get(key(tile.x, tile.y))?.cost ?? 1000 + manhattan(tile, t);
+        return Math.max(0, dist - range(tile));
+      })
+    );
+
+  const tileScore = (tile) =>
+    -((danger(tile) + hazard(tile)) / u.hp) *
+      WEIGHTS.danger *
+      (retreating ? 2 : 1) -
+    (retreating ? 0 : gap(tile) * WEIGHTS.approach);
+
+  // Worth of a strike with `power` on `target`
+  const hitScore = (target, power) => {
+    const odds = forecastStrike(state, u, target, power);
+    const maxHp = target.maxHp ?? target.hp;
+    return (
+      odds.kill * WEIGHTS.kill +
+      (odds.damage / target.hp) * WEIGHTS.damage +
+      (1 - target.hp / maxHp) * WEIGHTS.focus +
+      threatOf(target) * WEIGHTS.threat
+    );
+  };
+
+  // Risk of the retaliation striking `t` from `tile` draws
+  const retaliationCost = (t, tile) => {
+    const { counter } = attackForecast(state, u, t, tile);
+    if (!counter) return 0;
+    return (
+      counter.chance *
+      ((counter.damage / u.hp) * WEIGHTS.danger + counter.kill * WEIGHTS.kill)
+    );
+  };
+
+  const healScore = (ally, power) => {
+    const maxHp = ally.maxHp ?? ally.hp;
+    return (
+      (Math.min(power / 2, healCap(ally) - ally.hp) / maxHp) * WEIGHTS.heal
+    );
+  };
+
+  // Worth of a status effect landing on `v`, negative on the wrong side
+  const effectScore = (v, { kind, turns, power = 0 }) => {
+    const def = STATUS_EFFECTS[kind];
+    const maxHp = v.maxHp ?? v.hp;
+    const worth = def.skipTurn
+      ? threatOf(v) * WEIGHTS.stun
+      : def.absorbs
+      ? (power / maxHp) * WEIGHTS.heal
+      : ((power * turns) / maxHp) * (def.heals ? WEIGHTS.heal : WEIGHTS.damage);
+    const harmful = !!(def.damage || def.skipTurn);
+    return harmful === (v.team !== u.team) ? worth : -worth;
+  };
+
+  // Damaging abilities only put their effect on a strike that wounds
+  const landChance = (v, power) => forecastStrike(state, u, v, power).wound;
+
+  const abilityScore = (ability, hits, cost) => {
+    const power = abilityPower(u, ability);
+    return hits.reduce((sum, v) => {
+      const effect = ability.applies ? effectScore(v, ability.applies) : 0;
+      if (ability.effect === "status") return sum + effect;
+      if (ability.effect === "heal") return sum + healScore(v, power) + effect;
+      const worth = hitScore(v, power);
+      const hurt = v.team === u.team ? -worth * WEIGHTS.friendlyFire : worth;
+      return sum + hurt + effect * landChance(v, power);
+    }, -cost);
+  };
+
+  // Tiles worth aiming a cast (see rules.castOf) at from `from` (null = where
+  // u stands): units for single targets, else every centre whose area reaches
+  // a unit
+  const aimPoints = (cast, ability, from) => {
+    if (ability.charge) return from ? [] : castTargets(state, u.id, cast);
+    const centres = new Map();
+    [...state.units, from ?? u].forEach((v) => {
+      const around =
+        ability.target === "tile"
+          ? areaTiles(state.board, v, ability.area)
+          : [v];
+      around.forEach((p) => centres.set(key(p.x, p.y), { x: p.x, y: p.y }));
+    });
+    return [...centres.values()].filter((p) =>
+      canTargetCast(state, u.id, cast, p, from)
+    );
+  };
+
+  const here = { x: u.x, y: u.y };
+  const tiles = canMove(state, u.id)
+    ? [here, ...[...reachableTiles(state, u.id)].map(parseKey)]
+    : [here];
+  // { cast, ability, action, cost } for every ability and item usable now
+  const casts = [
+    ...unitAbilities(state, u).map(([abilityId, ability]) => ({
+      cast: { abilityId },
+      ability,
+      action: { type: "ability", abilityId },
+      cost: (ability.cooldown ?? 0) * WEIGHTS.cooldown,
+    })),
+    ...unitItems(state, u).map(([itemId, item]) => ({
+      cast: { itemId },
+      ability: item.use,
+      action: { type: "item", itemId },
+      cost: WEIGHTS.item,
+    })),
+  ].filter(({ cast }) => canCast(state, u.id, cast));
+
+  const plans = [];
+  const consider = (score, tile, action) => plans.push({ score, tile, action });
+  tiles.forEach((tile) => {
+    const stay = tile === here;
+    const base = tileScore(tile);
+    consider(base, tile, null);
+    foes.forEach((t) => {
+      if (canAttack(state, u.id, t.id, stay ? null : tile))
+        consider(
+          base + hitScore(t, attackPower(u)) - retaliationCost(t, tile),
+          tile,
+          {
+            type: "attack",
+            targetId: t.id,
+          }
+        );
+    });
+    casts.forEach(({ cast, ability, action, cost }) =>
+      aimPoints(cast, ability, stay ? null : tile).forEach((at) => {
+        const preview = castPreview(state, u.id, cast, at, stay ? null : tile);
+        const landing = preview.landing ? tileScore(preview.landing) : base;
+        consider(landing + abilityScore(ability, preview.hits, cost), tile, {
+          ...action,
+          at,
+        });
+      })
+    );
+    const blocked = danger(tile) - danger(tile, DEFEND_BONUS);
+    if (blocked > 0)
+      consider(base + (blocked / u.hp) * WEIGHTS.danger, tile, {
+        type: "defend",
+      });
+  });
+
+  return plans.sort((a, b) => b.score - a.score);
+}
+
+// Engine actions for a plan: step-then-attack goes in one action, anything
+// else acts after the move
+function planActions(u, { tile, action }) {
+  if (tile.x === u.x && tile.y === u.y)
+    return action ? [{ ...action, unitId: u.id }] : [];
+  if (action?.type === "attack")
+    return [{ ...action, unitId: u.id, via: tile }];
+  const move = { type: "move", unitId: u.id, to: tile };
+  return action ? [move, { ...action, unitId: u.id }] : [move];
+}
+
+// AI-only random stream: derived from the battle RNG so a given state always
+// gets the same decision, without consuming the combat rolls
+const aiRng = (state, unitId) => parseSeed(`${state.rng}:${unitId}`);
+
+function randomAction(state, unitId) {
+  const actions = legalActions(state, unitId);
+  if (actions.length === 0) return null;
+  const [f] = nextFloat(aiRng(state, unitId));
+  return actions[Math.floor(f * actions.length)];
+}
+
+// Material balance from `team`'s point of view
+function evaluate(state, team) {
+  if (state.winner) return state.winner === team ? 1000 : -1000;
+  return state.units.reduce((sum, v) => {
+    const worth = v.hp + threatOf(v) * 2;
+    return sum + (v.team === team ? worth : -worth);
+  }, 0);
+}
+
+// Plays the side to move until the turn passes (or the battle is decided),
+// asking `choose(state, unitId)` for each unit's actions until it returns null
+// -> { state, actions }. With initiative that is every unit of the side that
+// comes up in a row; each one not done by itself ends its turn.
+function playSide(state, choose) {
+  const team = state.turn;
+  const actions = [];
+  let s = state;
+  const play = (action) => {
+    actions.push(action);
+    s = applyAction(s, action).state;
+  };
+  if (!state.initiative) {
+    for (const u of unitsOf(state, team)) {
+      let action;
+      while (!s.winner && (action = choose(s, u.id))) play(action);
+    }
+    if (!s.winner) play({ type: "endTurn" });
+    return { state: s, actions };
+  }
+  while (!s.winner && s.turn === team) {
+    const unitId = s.queue[0];
+    let action;
+    while (!s.winner && s.queue[0] === unitId && (action = choose(s, unitId)))
+      play(action);
+    if (!s.winner && s.queue[0] === unitId) play({ type: "endTurn" });
+  }
+  return { state: s, actions };
+}
+
+// Plays out the rest of the current turn with the normal profile
+const playTurn = (state) => playSide(state, heuristicAction).state;
+
+// Plays the plan with sampled rolls, then the rest of this turn, the other
+// side's answer and our next turn with the normal profile, and scores the
+// outcome; null when `deadline` passes first
+function rollout(state, u, plan, rng, deadline) {
+  let s = { ...state, rng };
+  for (const action of planActions(u, plan)) {
+    s = applyAction(s, action).state;
+    if (s.winner) return evaluate(s, u.team);
+  }
+  for (let turn = 0; turn < 3 && !s.winner; turn++) {
+    s = playTurn(s);
+    if (performance.now() >= deadline) return null;
+  }
+  return evaluate(s, u.team);
+}
+
+// Hard: average rollouts of the top candidate plans until `deadline` (a
+// performance.now() time) passes. Only candidates with a finished rollout are
+// compared; with none (no time left, e.g. a unit's search after its move spent
+// the budget) it keeps the heuristic's first choice.
+function searchPlan(state, u, deadline) {
+  const candidates = scoredPlans(state, u).slice(0, HARD_CANDIDATES);
+  if (candidates.length <= 1) return candidates[0] ?? null;
+  const totals = candidates.map(() => 0);
+  const runs = candidates.map(() => 0);
+  let rng = aiRng(state, u.id);
+  while (performance.now() < deadline) {
+    // same rolls for every candidate, so they differ only by the plan
+    const [f, next] = nextFloat(rng);
+    rng = next;
+    const rolls = Math.floor(f * 0x100000000) >>> 0;
+    for (let i = 0; i < candidates.length; i++) {
+      const score = rollout(state, u, candidates[i], rolls, deadline);
+      if (score === null) break;
+      totals[i] += score;
+      runs[i]++;
+    }
+  }
+  let best = 0;
+  candidates.forEach((_, i) => {
+    const avg = (j) => totals[j] / runs[j];
+    if (runs[i] > 0 && (runs[best] === 0 || avg(i) > avg(best))) best = i;
+  });
+  return candidates[best];
+}
+
+function heuristicAction(state, unitId) {
+  if (!canAct(state, unitId)) return null;
+  const u = getUnit(state, unitId);
+  const [best] = scoredPlans(state, u);
+  return best ? planActions(u, best)[0] ?? null : null;
+}
+
+// Whole turn for the side to move: every unit's actions in order, ending with
+// endTurn unless the battle gets decided (with initiative: the units of the
+// side that come up in a row, see playSide). The engine runs on a copy, so later
+// units plan around the outcome of earlier ones exactly as it will happen.
+// Each unit gets one search budget for all of its actions.
+export function planTeamTurn(state, { budgetMs = HARD_BUDGET_MS } = {}) {
+  const deadlines = {};
+  return playSide(state, (s, unitId) => {
+    deadlines[unitId] ??= performance.now() + budgetMs;
+    return planUnitAction(s, unitId, { deadline: deadlines[unitId] });
+  }).actions;
+}
+
+// One engine action for the unit according to the battle's difficulty, or null
+// when it is done. Call again after a move to let the unit act from its new
+// tile; pass the same `deadline` to keep the Hard search within one budget.
+export function planUnitAction(
+  state,
+  unitId,
+  { budgetMs = HARD_BUDGET_MS, deadline = performance.now() + budgetMs } = {}
+) {
+  if (!canAct(state, unitId)) return null;
+  switch (state.difficulty) {
+    case "easy":
+      return randomAction(state, unitId);
+    case "hard": {
+      const u = getUnit(state, unitId);
+      const plan = searchPlan(state, u, deadline);
+      return plan ? planActions(u, plan)[0] ?? null : null;
+    }
+    default:
+      return heuristicAction(state, unitId);
+  }
+}
@@ -0,0 +1,15 @@
+import { planTeamTurn } from "./ai.js";
+
+// --------------------------- AI worker ---------------------------
+// Plans whole turns off the main thread so the search never stalls rendering.
+// In:  { id, state }            (serialized BattleState, side to move = AI)
+// Out: { id, actions } | { id, error }
+
+self.onmessage = ({ data }) => {
+  const { id, state } = data;
+  try {
+    self.postMessage({ id, actions: planTeamTurn(state) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
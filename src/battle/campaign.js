@@ -0,0 +1,284 @@
+import { gearHp, gearProblem, isWorn, rollLoot } from "./items.js";
+
+// --------------------------- Campaign ---------------------------
+// campaign.json (public/scenarios/, see scenario.validateCampaign):
+//   { id, name, description?, heroes: [<type>],
+//     levels: [xp needed for level 2, 3, ...],
+//     rest?: hp every hero recovers between battles,
+//     inventory?: [<item id>],   // the company's items at the start
+//     gear?: { <type>: [<item id>] },   // what each hero starts out carrying
+//     battles: [{ scenario: <id>, map: { x, y }, recruits?: [<type>],
+//                 loot?: [<item id>] }] }
+// `map` places a battle on the world map (percent of its width and height);
+// recruits join the roster and loot the inventory once that battle is won, on
+// top of what the beaten enemies drop (roster `loot`, see items.js).
+//
+// Heroes level up on XP from kills: every enemy a hero finishes off is worth
+// its full-strength hp (see rules.js for `unit.kills`). Each level past the
+// first adds the roster type's `growth` ({ <stat>: per level }) and the
+// abilities its `unlocks` ({ <level>: [abilityId] }) lists.
+//
+// Progress is plain JSON, saved after every won battle and every change of
+// equipment:
+//   { version, campaignId, stage, heroes: { <type>: { xp, level, hp, gear } },
+//     fallen: [<type>], inventory: [<item id>] }
+// Heroes start with their campaign `gear`; between battles items move between
+// them and the inventory. Consumables used in battle are gone, and the worn
+// gear of a fallen hero goes back to the inventory.
+// `stage` is the next battle (battles.length once the campaign is won). Heroes
+// carry their hp, wounds included, into the next fight; a hero who falls in a
+// won battle is gone for good. A lost battle changes nothing, so it can be
+// fought again.
+
+export const CAMPAIGN_VERSION = 1;
+export const GROWTH_STATS = [
+  "hp",
+  "atk",
+  "move",
+  "speed",
+  "armor",
+  "accuracy",
+  "evasion",
+  "crit",
+];
+
+export class CampaignError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CampaignError";
+  }
+}
+
+export const levelFor = (campaign, xp) =>
+  1 + campaign.levels.filter((need) => xp >= need).length;
+
+// XP still needed for the next level, or null at the top level
+export const xpToNext = (campaign, hero) => {
+  const need = campaign.levels[hero.level - 1];
+  return need === undefined ? null : need - hero.xp;
+};
+
+// XP for finishing off a unit of `type`: its full-strength hp
+export const killXp = (roster, type) => {
+  const def = roster.units[type];
+  return def ? def.hp * (def.count ?? 1) : 0;
+};
+
+// Abilities a hero type learns on reaching `level`
+export const unlocksAt = (roster, type, level) =>
+  roster.units[type]?.unlocks?.[level] ?? [];
+
+// Full-strength hp of a hero type at `level`
+export function heroMaxHp(roster, type, level) {
+  const def = roster.units[type];
+  return (def.hp + (def.growth?.hp ?? 0) * (level - 1)) * (def.count ?? 1);
+}
+
+const freshHero = (campaign, roster, type) => ({
+  xp: 0,
+  level: 1,
+  hp: heroMaxHp(roster, type, 1),
+  gear: [...(campaign.gear?.[type] ?? [])],
+});
+
+export const newCampaign = (campaign, roster) => ({
+  version: CAMPAIGN_VERSION,
+  campaignId: campaign.id,
+  stage: 0,
+  heroes: Object.fromEntries(
+    campaign.heroes.map((type) => [type, freshHero(campaign, roster, type)])
+  ),
+  fallen: [],
+  inventory: [...(campaign.inventory ?? [])],
+});
+
+export const campaignWon = (campaign, progress) =>
+  progress.stage >= campaign.battles.length;
+
+// Validates stored progress against the campaign it claims to belong to
+export function fromCampaignData(data, campaign, roster) {
+  if (data == null || typeof data !== "object")
+    throw new CampaignError("Campaign progress is empty or not an object");
+  if (data.version !== CAMPAIGN_VERSION)
+    throw new CampaignError(
+      `Unsupported campaign version ${data.version} (expected ${CAMPAIGN_VERSION})`
+    );
+  if (data.campaignId !== campaign.id)
+    throw new CampaignError(
+      `Progress belongs to another campaign ("${data.campaignId}")`
+    );
+  if (
+    !Number.isInteger(data.stage) ||
+    data.stage < 0 ||
+    data.stage > campaign.battles.length
+  )
+    throw new CampaignError("Campaign progress has a broken stage");
+  const heroes = Object.entries(data.heroes ?? {});
+  const bad = heroes.find(
+    ([type, h]) =>
+      !roster.units[type] || ![h?.xp, h?.level, h?.hp].every(Number.isInteger)
+  );
+  if (bad) throw new CampaignError(`Campaign hero "${bad[0]}" is broken`);
+  const items = roster.items ?? {};
+  const badGear = heroes.find(
+    ([, h]) => !Array.isArray(h.gear) || gearProblem(items, h.gear)
+  );
+  if (badGear)
+    throw new CampaignError(`Campaign hero "${badGear[0]}" has broken gear`);
+  if (!Array.isArray(data.inventory) || data.inventory.some((id) => !items[id]))
+    throw new CampaignError("Campaign inventory is broken");
+  return structuredClone({ ...data, fallen: data.fallen ?? [] });
+}
+
+// A battle-ready unit of a campaign hero: level growth, unlocked abilities,
+// the hp it carries and its gear (put on afterwards, see items.equipUnit)
+export function heroUnit(roster, unit, hero) {
+  const def = roster.units[unit.type];
+  const steps = hero.level - 1;
+  const next = { ...unit, level: hero.level, gear: [...hero.gear] };
+  Object.entries(def.growth ?? {}).forEach(([stat, per]) => {
+    if (stat === "hp") return;
+    next[stat] = (next[stat] ?? 0) + per * steps;
+  });
+  next.creatureHp = def.hp + (def.growth?.hp ?? 0) * steps;
+  next.maxHp = next.creatureHp * (next.count ?? 1);
+  next.hp = Math.max(1, Math.min(hero.hp, next.maxHp));
+  for (let level = 2; level <= hero.level; level++)
+    unlocksAt(roster, unit.type, level).forEach((id) => {
+      if (!next.abilities.includes(id))
+        next.abilities = [...next.abilities, id];
+    });
+  return next;
+}
+
+// `adjust` for createScenarioBattle: the player's units of hero types become
+// the campaign's heroes
+export const campaignAdjust = (roster, progress) => (unit) => {
+  const hero = unit.team === "player" ? progress.heroes[unit.type] : null;
+  return hero ? heroUnit(roster, unit, hero) : unit;
+};
+
+// Progress after winning the current battle -> { progress, report }. `state`
+// is the final BattleState, `squad` the hero types that fought and `scenario`
+// the battle's scenario (its enemies roll their loot). The report lists every
+// hero that fought or rested: { type, xp (gained), level, levelsGained,
+// unlocked: [abilityId], hp, maxHp } or { type, fell: true }, then the recruits
+// as { type, recruit: true } and the loot as { item, loot: true }.
+export function finishBattle(
+  campaign,
+  progress,
+  roster,
+  state,
+  squad,
+  scenario
+) {
+  const items = roster.items ?? {};
+  const heroes = {};
+  const fallen = [];
+  const report = [];
+  const inventory = [...progress.inventory];
+  Object.entries(progress.heroes).forEach(([type, hero]) => {
+    const unit = state.units.find(
+      (u) => u.team === "player" && u.type === type
+    );
+    if (squad.includes(type) && !unit) {
+      fallen.push(type);
+      inventory.push(...hero.gear.filter((id) => isWorn(items[id])));
+      report.push({ type, fell: true });
+      return;
+    }
+    const gained = (unit?.kills ?? []).reduce(
+      (sum, victim) => sum + killXp(roster, victim),
+      0
+    );
+    const xp = hero.xp + gained;
+    const level = levelFor(campaign, xp);
+    const maxHp = heroMaxHp(roster, type, level);
+    // a new level's extra hp comes on top of the wounds
+    const grown = maxHp - heroMaxHp(roster, type, hero.level);
+    // the hp worn gear adds only lasts the battle
+    const carried = unit ? Math.max(1, unit.hp - gearHp(items, unit)) : hero.hp;
+    const hp = Math.min(maxHp, carried + grown + (campaign.rest ?? 0));
+    // consumables used up in the battle are gone
+    const gear = unit
+      ? [...hero.gear.filter((id) => isWorn(items[id])), ...unit.items]
+      : hero.gear;
+    heroes[type] = { xp, level, hp, gear };
+    const unlocked = [];
+    for (let l = hero.level + 1; l <= level; l++)
+      unlocked.push(...unlocksAt(roster, type, l));
+    report.push({
+      type,
+      xp: gained,
+      level,
+      levelsGained: level - hero.level,
+      unlocked,
+      hp,
+      maxHp,
+    });
+  });
+  (campaign.battles[progress.stage].recruits ?? []).forEach((type) => {
+    if (heroes[type] || fallen.includes(type)) return;
+    heroes[type] = freshHero(campaign, roster, type);
+    report.push({ type, recruit: true });
+  });
+  const enemies = scenario.units
+    .filter((u) => u.team !== "player")
+    .map((u) => u.unit);
+  const loot = [
+    ...(campaign.battles[progress.stage].loot ?? []),
+    ...rollLoot(roster, enemies, state.rng),
+  ];
+  loot.forEach((item) => report.push({ item, loot: true }));
+  return {
+    progress: {
+      ...progress,
+      stage: progress.stage + 1,
+      heroes,
+      fallen: [...progress.fallen, ...fallen],
+      inventory: [...inventory, ...loot],
+    },
+    report,
+  };
+}
+
+// --------------------------- Equipment ---------------------------
+// Between battles items move from the inventory onto a hero and back. Both
+// return new progress, or throw a CampaignError when the move is not allowed.
+
+// Puts an inventory item on a hero; a worn item already in that slot goes
+// back to the inventory
+export function equipItem(progress, roster, type, itemId) {
+  const items = roster.items ?? {};
+  const hero = progress.heroes[type];
+  const at = progress.inventory.indexOf(itemId);
+  if (!hero || at < 0)
+    throw new CampaignError(`"${itemId}" is not in the inventory`);
+  const slot = items[itemId].slot;
+  const replaced = isWorn(items[itemId])
+    ? hero.gear.filter((id) => items[id].slot === slot)
+    : [];
+  const gear = [...hero.gear.filter((id) => !replaced.includes(id)), itemId];
+  const problem = gearProblem(items, gear);
+  if (problem) throw new CampaignError(`${type} cannot carry ${problem}`);
+  return {
+    ...progress,
+    heroes: { ...progress.heroes, [type]: { ...hero, gear } },
+    inventory: [...progress.inventory.filter((_, i) => i !== at), ...replaced],
+  };
+}
+
+// Takes an item off a hero into the inventory
+export function unequipItem(progress, type, itemId) {
+  const hero = progress.heroes[type];
+  const at = hero?.gear.indexOf(itemId) ?? -1;
+  if (at < 0) throw new CampaignError(`${type} does not carry "${itemId}"`);
+  return {
+    ...progress,
+    heroes: {
+      ...progress.heroes,
+      [type]: { ...hero, gear: hero.gear.filter((_, i) => i !== at) },
+    },
+    inventory: [...progress.inventory, itemId],
+  };
+}
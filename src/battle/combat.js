@@ -0,0 +1,95 @@
+import { rollInt } from "./rng.js";
+import { creaturesLeft } from "./stacks.js";
+
+// --------------------------- Combat math ---------------------------
+// One strike (an attack or a damaging ability) against a target, in roll order:
+//   1. hit     1..100 <= the attacker's accuracy minus the target's evasion
+//              (never below MIN_HIT)
+//   2. damage  ceil(power / 2)..power, plus the attacker's class bonus against
+//              the target's class for every creature in its stack
+//   3. crit    1..100 <= the attacker's crit chance: damage * critMultiplier,
+//              rounded down
+// The rules then take off the target's armor and cover and let a shield soak
+// what is left (see rules.js); a miss rolls nothing after the hit roll.
+//
+// Unit combat stats (roster classes give defaults, unit types override):
+//   accuracy %, evasion %, armor (flat), crit %, critMultiplier,
+//   bonusVs: { <class>: extra damage per creature }
+export const COMBAT_DEFAULTS = {
+  accuracy: 90,
+  evasion: 0,
+  armor: 0,
+  crit: 5,
+  critMultiplier: 1.5,
+};
+export const MIN_HIT = 5; // %
+
+export const statOf = (unit, stat) => unit?.[stat] ?? COMBAT_DEFAULTS[stat];
+
+export const hitChance = (attacker, target) =>
+  Math.min(
+    100,
+    Math.max(MIN_HIT, statOf(attacker, "accuracy") - statOf(target, "evasion"))
+  );
+
+export const classBonus = (attacker, target) =>
+  (attacker.bonusVs?.[target.classType] ?? 0) * creaturesLeft(attacker);
+
+// Damage a hit rolls before crits and soak: [lowest, highest]
+export function damageRange(attacker, target, power) {
+  const bonus = classBonus(attacker, target);
+  return [Math.ceil(power / 2) + bonus, power + bonus];
+}
+
+const critDamage = (attacker, damage) =>
+  Math.floor(damage * statOf(attacker, "critMultiplier"));
+
+// Rolls one strike -> [{ hit, crit, raw }, nextRng]; `raw` is before soak
+export function rollStrike(rng, attacker, target, power) {
+  const [hitRoll, afterHit] = rollInt(rng, 1, 100);
+  if (hitRoll > hitChance(attacker, target))
+    return [{ hit: false, crit: false, raw: 0 }, afterHit];
+  const [lo, hi] = damageRange(attacker, target, power);
+  const [damage, afterDamage] = rollInt(afterHit, lo, hi);
+  const [critRoll, next] = rollInt(afterDamage, 1, 100);
+  const crit = critRoll <= statOf(attacker, "crit");
+  return [
+    { hit: true, crit, raw: crit ? critDamage(attacker, damage) : damage },
+    next,
+  ];
+}
+
+// Odds of one strike against a target that soaks `soak` per hit and has `hp`
+// left: { hit, crit, min, max, critMax, wound, kill, damage }. hit/crit/wound/
+// kill are chances (0..1; wound = any hp lost), min/max the hp a normal hit
+// takes, critMax a crit's best, damage the expected hp lost.
+export function strikeOdds(attacker, target, power, soak, hp) {
+  const hit = hitChance(attacker, target) / 100;
+  const crit = Math.min(100, statOf(attacker, "crit")) / 100;
+  const [lo, hi] = damageRange(attacker, target, power);
+  const through = (raw) => Math.max(0, raw - soak);
+  let wound = 0;
+  let kill = 0;
+  let damage = 0;
+  for (let d = lo; d <= hi; d++) {
+    [
+      [through(d), 1 - crit],
+      [through(critDamage(attacker, d)), crit],
+    ].forEach(([taken, p]) => {
+      const share = (hit * p) / (hi - lo + 1);
+      if (taken > 0) wound += share;
+      if (taken >= hp) kill += share;
+      damage += Math.min(taken, hp) * share;
+    });
+  }
+  return {
+    hit,
+    crit,
+    min: through(lo),
+    max: through(hi),
+    critMax: through(critDamage(attacker, hi)),
+    wound,
+    kill,
+    damage,
+  };
+}
@@ -0,0 +1,35 @@
+// --------------------------- Status effects ---------------------------
+// Timed effects on a unit: `unit.effects = [{ kind, turns, power, sourceId }]`.
+// Abilities apply them through `applies` (see abilities.js), terrain through its
+// `effect` entry (see terrain.js); applying a kind the unit already has keeps
+// the longer duration and the stronger power. Every effect ticks when the
+// unit's side starts its turn (with initiative: when the unit's own turn comes
+// up) and is gone once `turns` runs out. Passive effects from worn items
+// (`passive: true`, `turns: null`, see items.js) are separate entries: they
+// tick without running out, and neither abilities nor terrain change them.
+//   poison  loses `power` hp per tick
+//   burn    loses `power` hp per tick (water puts it out)
+//   stun    the unit skips its turn (no move, no action)
+//   shield  soaks up to `power` damage from attacks and abilities in total
+//   regen   regains `power` hp per tick
+export const STATUS_EFFECTS = {
+  poison: { label: "Poison", damage: true },
+  burn: { label: "Burn", damage: true },
+  stun: { label: "Stun", skipTurn: true },
+  shield: { label: "Shield", absorbs: true },
+  regen: { label: "Regeneration", heals: true },
+};
+
+export const STATUS_KINDS = Object.keys(STATUS_EFFECTS);
+
+export const effectOf = (unit, kind) =>
+  unit?.effects?.find((e) => e.kind === kind) ?? null;
+
+// Will the unit skip its next turn?
+export const isStunned = (unit) => !!effectOf(unit, "stun");
+
+// Damage the shields on the unit can still soak
+export const shieldLeft = (unit) =>
+  (unit?.effects ?? [])
+    .filter((e) => e.kind === "shield")
+    .reduce((sum, e) => sum + e.power, 0);
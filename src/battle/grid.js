@@ -0,0 +1,78 @@
+// --------------------------- Board geometry ---------------------------
+// Pure grid helpers shared by the rules engine, the AI and the renderer.
+
+export const GRID_COLS = 10;
+export const GRID_ROWS = 8;
+
+export const key = (x, y) => `${x},${y}`;
+
+export const parseKey = (k) => {
+  const [x, y] = k.split(",").map(Number);
+  return { x, y };
+};
+
+export const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+// 4-directional neighbourhood
+export const neighbors4 = (p) => [
+  { x: p.x + 1, y: p.y },
+  { x: p.x - 1, y: p.y },
+  { x: p.x, y: p.y + 1 },
+  { x: p.x, y: p.y - 1 },
+];
+
+export const inBounds = (board, p) =>
+  p.x >= 0 && p.y >= 0 && p.x < board.cols && p.y < board.rows;
+
+// Cheapest-first flood fill (Dijkstra) from `start`: Map "x,y" -> { x, y, cost, parent }
+// for every tile reachable within `maxCost`. Following `parent` keys back to the
+// start gives a legal hop-by-hop path that never passes through blocked tiles.
+export function movementField(
+  board,
+  start,
+  maxCost,
+  blocked,
+  stepCost = () => 1
+) {
+  const startKey = key(start.x, start.y);
+  const field = new Map([
+    [startKey, { x: start.x, y: start.y, cost: 0, parent: null }],
+  ]);
+  const open = [startKey];
+  const done = new Set();
+  while (open.length) {
+    // boards are tiny, a linear min-scan beats a heap here
+    let bi = 0;
+    for (let i = 1; i < open.length; i++) {
+      if (field.get(open[i]).cost < field.get(open[bi]).cost) bi = i;
+    }
+    const curKey = open.splice(bi, 1)[0];
+    if (done.has(curKey)) continue;
+    done.add(curKey);
+    const cur = field.get(curKey);
+    for (const n of neighbors4(cur)) {
+      const nk = key(n.x, n.y);
+      if (!inBounds(board, n) || blocked.has(nk) || done.has(nk)) continue;
+      const cost = cur.cost + stepCost(n);
+      if (cost > maxCost) continue;
+      const prev = field.get(nk);
+      if (prev && prev.cost <= cost) continue;
+      field.set(nk, { x: n.x, y: n.y, cost, parent: curKey });
+      open.push(nk);
+    }
+  }
+  return field;
+}
+
+// Walks the parent chain back from `to`: [{x,y}, ...] excluding the start
+// tile, or null when `to` is not in the field.
+export function pathFromField(field, to) {
+  let cur = field.get(key(to.x, to.y));
+  if (!cur) return null;
+  const path = [];
+  while (cur.parent) {
+    path.unshift({ x: cur.x, y: cur.y });
+    cur = field.get(cur.parent);
+  }
+  return path;
+}
@@ -0,0 +1,25 @@
+// --------------------------- State hash ---------------------------
+// Short fingerprint of a BattleState (FNV-1a over JSON with sorted keys), so two
+// engines that replayed the same actions can check they agree.
+
+const stable = (v) => {
+  if (Array.isArray(v)) return v.map(stable);
+  if (v && typeof v === "object")
+    return Object.fromEntries(
+      Object.keys(v)
+        .sort()
+        .filter((k) => v[k] !== undefined)
+        .map((k) => [k, stable(v[k])])
+    );
+  return v;
+};
+
+export function hashState(state) {
+  const text = JSON.stringify(stable(state));
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
@@ -0,0 +1,18 @@
+// Headless battle engine: no React, no three.js, no timers.
+export * from "./grid.js";
+export * from "./rng.js";
+export * from "./terrain.js";
+export * from "./sight.js";
+export * from "./state.js";
+export * from "./stacks.js";
+export * from "./combat.js";
+export * from "./effects.js";
+export * from "./abilities.js";
+export * from "./items.js";
+export * from "./rules.js";
+export * from "./ai.js";
+export * from "./scenario.js";
+export * from "./save.js";
+export * from "./hash.js";
+export * from "./replay.js";
+export * from "./campaign.js";
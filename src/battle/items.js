@@ -0,0 +1,118 @@
+import { rollInt } from "./rng.js";
+
+// --------------------------- Items ---------------------------
+// Items are data like abilities: roster.json lists them under "items" and the
+// definitions are copied into BattleState.items.
+//
+//   { name, icon?, description?, slot: "weapon" | "armor" | "artifact" | "consumable",
+//     mods?     { <stat>: amount } added to the wearer (ITEM_STATS; hp is per
+//               creature, like `growth`)
+//     passive?  { kind, power? } status effect the wearer has all battle long:
+//               it never runs out, but a spent shield is gone (see effects.js)
+//     use? }    consumables: what using one does, an ability definition
+//               (see abilities.js) without cooldown or charge
+//
+// A campaign hero's `gear` (see campaign.js) lists the item ids it brings: at
+// most one per worn slot and PACK_SIZE consumables. equipUnit applies the worn
+// ones and packs the consumables into `unit.items`; using one is an action and
+// uses it up.
+//
+// Roster unit types may also list `loot: [{ item, chance }]` (chance in %):
+// the drops rolled for every one of them beaten in a won campaign battle.
+
+export const WORN_SLOTS = ["weapon", "armor", "artifact"];
+export const ITEM_SLOTS = [...WORN_SLOTS, "consumable"];
+export const ITEM_STATS = [
+  "hp",
+  "atk",
+  "move",
+  "speed",
+  "attackRange",
+  "armor",
+  "accuracy",
+  "evasion",
+  "crit",
+];
+export const PACK_SIZE = 2; // consumables a unit carries into battle
+
+export const itemOf = (state, itemId) => state.items?.[itemId] ?? null;
+
+// What using a consumable casts, or null for anything else
+export const itemUse = (state, itemId) => itemOf(state, itemId)?.use ?? null;
+
+// Consumables the unit still carries, as [id, definition, count] in pack order
+export const unitItems = (state, unit) =>
+  [...new Set(unit?.items ?? [])]
+    .map((id) => [
+      id,
+      itemOf(state, id),
+      unit.items.filter((i) => i === id).length,
+    ])
+    .filter(([, item]) => item?.use);
+
+export const isWorn = (item) => WORN_SLOTS.includes(item?.slot);
+
+// Null when `gear` (item ids) can be carried together, else a reason
+export function gearProblem(items, gear) {
+  const unknown = gear.find((id) => !items[id]);
+  if (unknown) return `unknown item "${unknown}"`;
+  const slot = WORN_SLOTS.find(
+    (s) => gear.filter((id) => items[id].slot === s).length > 1
+  );
+  if (slot) return `more than one ${slot}`;
+  return gear.filter((id) => items[id].slot === "consumable").length > PACK_SIZE
+    ? `more than ${PACK_SIZE} consumables`
+    : null;
+}
+
+// Hp the worn gear adds to the whole unit
+export const gearHp = (items, unit) =>
+  (unit.gear ?? []).reduce(
+    (sum, id) => sum + (items[id]?.mods?.hp ?? 0) * (unit.count ?? 1),
+    0
+  );
+
+// The unit with its `gear` put on: worn stat mods and passives, consumables
+// in `unit.items`
+export function equipUnit(items, unit) {
+  const next = { ...unit, items: [], effects: [...(unit.effects ?? [])] };
+  (unit.gear ?? []).forEach((id) => {
+    const item = items[id];
+    if (item.slot === "consumable") {
+      next.items.push(id);
+      return;
+    }
+    Object.entries(item.mods ?? {}).forEach(([stat, amount]) => {
+      if (stat !== "hp") {
+        next[stat] = (next[stat] ?? 0) + amount;
+        return;
+      }
+      next.creatureHp += amount;
+      next.maxHp += amount * (next.count ?? 1);
+      next.hp += amount * (next.count ?? 1);
+    });
+    if (item.passive)
+      next.effects.push({
+        kind: item.passive.kind,
+        turns: null,
+        power: item.passive.power ?? 0,
+        sourceId: null,
+        passive: true,
+      });
+  });
+  return next;
+}
+
+// Drops for beating units of `types`, rolled from `rng` -> [itemId]
+export function rollLoot(roster, types, rng) {
+  const drops = [];
+  let r = rng;
+  types.forEach((type) =>
+    (roster.units[type]?.loot ?? []).forEach(({ item, chance }) => {
+      const [roll, next] = rollInt(r, 1, 100);
+      r = next;
+      if (roll <= chance) drops.push(item);
+    })
+  );
+  return drops;
+}
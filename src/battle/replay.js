@@ -0,0 +1,67 @@
+import { applyAction } from "./rules.js";
+import { cleanState, stateProblem } from "./save.js";
+
+// --------------------------- Replays ---------------------------
+// A replay is plain JSON: { version, recordedAt, setup, initial, entries }.
+// `initial` is the BattleState the battle started from (a fresh battle or a
+// loaded save) and every entry is { action, events }: the action as ordered and
+// the events it produced (move paths, rolled damage, heal amounts), so playback
+// shows exactly what happened. The engine replays the actions alongside to keep
+// the board state; a replay that no longer fits the rules fails on that step.
+
+export const REPLAY_VERSION = 1;
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReplayError";
+  }
+}
+
+export const createReplay = (
+  state,
+  { setup, recordedAt = Date.now() } = {}
+) => ({
+  version: REPLAY_VERSION,
+  recordedAt,
+  setup,
+  initial: cleanState(state),
+  entries: [],
+});
+
+// New replay with one more action; the recording itself is never mutated
+export const recordAction = (replay, action, events) => ({
+  ...replay,
+  entries: [...replay.entries, structuredClone({ action, events })],
+});
+
+// Validates a parsed replay file and returns it ready for playback
+export function fromReplayData(data) {
+  if (data == null || typeof data !== "object")
+    throw new ReplayError("Replay file is empty or not an object");
+  if (data.version !== REPLAY_VERSION)
+    throw new ReplayError(
+      `Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`
+    );
+  const problem = stateProblem(data.initial);
+  if (problem) throw new ReplayError(`Replay ${problem}`);
+  if (!Array.isArray(data.entries))
+    throw new ReplayError("Replay has no recorded actions");
+  const bad = data.entries.findIndex(
+    (e) => typeof e?.action?.type !== "string" || !Array.isArray(e.events)
+  );
+  if (bad >= 0) throw new ReplayError(`Replay entry ${bad + 1} is broken`);
+  return structuredClone(data);
+}
+
+// Replay step `index` on top of `state` -> { state, events } (the recorded events)
+export function replayStep(state, replay, index) {
+  const { action, events } = replay.entries[index];
+  try {
+    return { state: applyAction(state, action).state, events };
+  } catch (e) {
+    throw new ReplayError(
+      `Replay step ${index + 1} no longer fits: ${e.message}`
+    );
+  }
+}
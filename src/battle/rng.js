@@ -0,0 +1,37 @@
+// --------------------------- Seedable RNG ---------------------------
+// mulberry32: the whole generator state is a single uint32, so it can live
+// inside BattleState and survive JSON round-trips. Every call returns the
+// rolled value together with the next state instead of mutating anything.
+
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+// Normalizes user input (e.g. `?seed=`) into a uint32 seed. Plain integers are
+// used as-is, anything else is hashed (FNV-1a) so "boss-fight" works too.
+// Returns null for empty input.
+export function parseSeed(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(BigInt(text) % 0x100000000n);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Returns [float in 0..1, nextRng]
+export function nextFloat(rng) {
+  const next = (rng + 0x6d2b79f5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [((t ^ (t >>> 14)) >>> 0) / 4294967296, next];
+}
+
+// Random integer (inclusive). Returns [value, nextRng]
+export function rollInt(rng, min, max) {
+  const [f, next] = nextFloat(rng);
+  return [Math.floor(f * (max - min + 1)) + min, next];
+}
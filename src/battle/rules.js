@@ -0,0 +1,838 @@
+import {
+  abilityOf,
+  abilityPower,
+  areaTiles,
+  chargeRush,
+  cooldownLeft,
+  pushLanding,
+  readyRound,
+  targetUnit,
+  unitAbilities,
+  unitsHit,
+} from "./abilities.js";
+import {
+  inBounds,
+  key,
+  manhattan,
+  movementField,
+  parseKey,
+  pathFromField,
+} from "./grid.js";
+import { rollStrike, statOf, strikeOdds } from "./combat.js";
+import { isStunned, shieldLeft, STATUS_EFFECTS } from "./effects.js";
+import { itemUse, unitItems } from "./items.js";
+import { rollInt } from "./rng.js";
+import { attackPower, healCap } from "./stacks.js";
+import {
+  blockedSet,
+  cloneState,
+  computeWinner,
+  getUnit,
+  initiativeOrder,
+  otherTeam,
+  unitsOf,
+} from "./state.js";
+import { sightBlocker } from "./sight.js";
+import { terrainOf, terrainStepCost } from "./terrain.js";
+
+// --------------------------- Rules ---------------------------
+// Pure combat rules. `applyAction(state, action)` never mutates its input: it
+// returns the next BattleState plus an ordered list of events describing what
+// happened, which the React layer replays as animations.
+//
+// Actions:
+//   { type: "move", unitId, to: {x,y} }
+//   { type: "attack", unitId, targetId, via?: {x,y} }  // via: step, then melee
+//   { type: "ability", unitId, abilityId, at: {x,y} }  // see abilities.js
+//   { type: "item", unitId, itemId, at: {x,y} }   // a consumable, see items.js
+//   { type: "wait", unitId }     // skip the action phase (initiative: act
+//                                // later this round)
+//   { type: "defend", unitId }   // skip it but soak DEFEND_BONUS damage until
+//                                // the unit's next turn
+//   { type: "endTurn" }          // initiative: the active unit's turn only
+//
+// A unit moves at most once and then acts at most once; any action also ends
+// its movement, so "move then shoot" works but "shoot then move" does not.
+// Attacks and damaging abilities roll hit, damage and crit (see combat.js);
+// armor and cover come off every hit, then a shield soaks the rest. Stacks
+// strike with every creature still standing and heal only their survivors
+// (see stacks.js). A melee unit that survives a basic attack from the next
+// tile strikes back once per round, unless the attacker has the
+// "noRetaliation" trait. Status effects tick as their side's turn starts (see
+// effects.js), and a stunned unit starts its turn already done.
+//
+// Initiative battles (`state.initiative`) give every unit its own turn instead:
+// `state.queue` lists the rest of the round, fastest first (see
+// state.initiativeOrder), and only its front unit may act. Once that unit is
+// done the next one starts (effects tick then); an empty queue starts the next
+// round. A unit that waits before moving goes to the back of the queue, once
+// per round.
+//
+// Events:
+//   { type: "move", unitId, from, to, path }
+//   { type: "attack", unitId, targetId, from, at, hit, crit, damage, absorbed,
+//     hp, retaliation? }   // retaliation: the target striking back
+//   { type: "death", unitId, killerId }
+//   { type: "ability", unitId, abilityId, from, at, area }   // hits follow
+//   { type: "item", unitId, itemId, from, at, area }   // hits follow
+//   { type: "hit", unitId, targetId, abilityId | itemId, hit, crit, damage,
+//     absorbed, hp }
+//   { type: "heal", unitId, targetId, abilityId | itemId, amount, hp }
+//   { type: "push", unitId, from, to }
+//   { type: "status", unitId, kind, turns, power, sourceId }   // (re)applied
+//   { type: "tick", unitId, kind, amount, hp, turns, passive? }   // turn start
+//   { type: "expire", unitId, kind, passive? }   // ran out, spent or cleared
+//   { type: "wait", unitId, deferred? }   // deferred: to the queue's back
+//   { type: "defend", unitId }
+//   { type: "turn", turn, round, unitId? }   // unitId: up next (initiative)
+//   { type: "battleEnd", winner }
+
+export const DEFEND_BONUS = 1;
+export const TRAITS = ["noRetaliation"]; // unit type traits in roster.json
+
+// Every class but "ranged" (melee, cavalry) fights from the next tile
+export const isMelee = (u) => {
+  if (!u) return false;
+  if (u.classType) return u.classType !== "ranged";
+  return (u.attackRange ?? 1) === 1;
+};
+
+// Attack range from a given tile: ranged units reach further from high ground
+export function attackRange(state, u, from = u) {
+  const base = u.attackRange ?? 1;
+  if (isMelee(u)) return base;
+  return base + (terrainOf(state.board, from).rangeBonus ?? 0);
+}
+
+// Damage soaked per hit by a unit standing on `at`: terrain cover plus its
+// defensive stance
+export function coverOf(state, unit, at = unit) {
+  return (
+    (terrainOf(state.board, at).defense ?? 0) +
+    (unit.defending ? DEFEND_BONUS : 0)
+  );
+}
+
+// Everything taken off each hit on the unit: its armor plus its cover
+export const guardOf = (state, unit, at = unit) =>
+  statOf(unit, "armor") + coverOf(state, unit, at);
+
+export const hasTrait = (u, trait) => !!u?.traits?.includes(trait);
+
+// Will `target` strike back if it survives a basic attack by `attacker` made
+// from `from`? Melee against melee only, once per round, not while stunned.
+export const canRetaliate = (state, attacker, target, from = attacker) =>
+  isMelee(attacker) &&
+  isMelee(target) &&
+  manhattan(from, target) === 1 &&
+  !hasTrait(attacker, "noRetaliation") &&
+  !target.retaliated &&
+  !isStunned(target) &&
+  (target.atk ?? 0) > 0;
+
+// Odds of a strike with `power` (default: the attacker's attack power) on
+// `target` as it stands now, shield included (see combat.strikeOdds)
+export const forecastStrike = (
+  state,
+  attacker,
+  target,
+  power = attackPower(attacker)
+) =>
+  strikeOdds(
+    attacker,
+    target,
+    power,
+    guardOf(state, target) + shieldLeft(target),
+    target.hp
+  );
+
+// Basic attack forecast (from `from` for a step-then-attack): the strike's odds
+// plus `counter`, the odds of the retaliation it draws with `chance` that the
+// target survives to make it, or null. The counter is reckoned at the target's
+// current strength: creatures the attack kills first only make it weaker.
+export function attackForecast(state, attacker, target, from = attacker) {
+  const odds = forecastStrike(state, attacker, target);
+  if (!canRetaliate(state, attacker, target, from))
+    return { ...odds, counter: null };
+  const moved = { ...attacker, x: from.x, y: from.y };
+  const counter = strikeOdds(
+    target,
+    moved,
+    attackPower(target),
+    guardOf(state, moved) + shieldLeft(attacker),
+    attacker.hp
+  );
+  return { ...odds, counter: { ...counter, chance: 1 - odds.kill } };
+}
+
+// The unit whose turn it is in an initiative battle, otherwise null
+export const activeUnit = (state) =>
+  state.initiative ? getUnit(state, state.queue?.[0]) : null;
+
+// Can this unit still be ordered around right now (action phase not used yet)?
+export function canAct(state, unitId) {
+  const u = getUnit(state, unitId);
+  if (!u || state.winner) return false;
+  if (state.initiative && state.queue?.[0] !== unitId) return false;
+  return u.team === state.turn && u.hp > 0 && !u.hasActed;
+}
+
+// Would "wait" send the unit to the back of the initiative queue (rather than
+// end its turn)? Only before it moves, once per round.
+export const canDefer = (state, unitId) => {
+  const u = getUnit(state, unitId);
+  return (
+    !!state.initiative &&
+    canAct(state, unitId) &&
+    !u.hasMoved &&
+    !u.waited &&
+    state.queue.length > 1
+  );
+};
+
+// Has the unit still got its move this turn?
+export function canMove(state, unitId) {
+  return canAct(state, unitId) && !getUnit(state, unitId).hasMoved;
+}
+
+// Movement field for the unit this turn (see grid.movementField), or null
+function unitField(state, unitId) {
+  if (!canMove(state, unitId)) return null;
+  const u = getUnit(state, unitId);
+  return movementField(
+    state.board,
+    u,
+    u.move,
+    blockedSet(state, u.id),
+    terrainStepCost(state.board)
+  );
+}
+
+// Tiles (as "x,y" keys) the unit can move to this turn
+export function reachableTiles(state, unitId) {
+  const field = unitField(state, unitId);
+  if (!field) return new Set();
+  const u = getUnit(state, unitId);
+  field.delete(key(u.x, u.y));
+  return new Set(field.keys());
+}
+
+export function canMoveTo(state, unitId, to) {
+  return reachableTiles(state, unitId).has(key(to.x, to.y));
+}
+
+// Hop-by-hop legal path to `to` (start tile excluded), or null if unreachable
+export function movePath(state, unitId, to) {
+  const field = unitField(state, unitId);
+  const u = getUnit(state, unitId);
+  if (!field || (u.x === to.x && u.y === to.y)) return null;
+  return pathFromField(field, to);
+}
+
+const isEnemyTarget = (attacker, target) =>
+  !!target && target.team !== attacker.team && target.hp > 0;
+
+// Target within range of the attacker, ignoring line of sight
+function inAttackRange(state, attacker, target, origin) {
+  return manhattan(origin, target) <= attackRange(state, attacker, origin);
+}
+
+// Attack from the attacker's current tile (or from `from`, if given).
+// Ranged shots need a clear line of sight.
+export function canAttack(state, attackerId, targetId, from = null) {
+  if (!canAct(state, attackerId)) return false;
+  const attacker = getUnit(state, attackerId);
+  const target = getUnit(state, targetId);
+  if (!isEnemyTarget(attacker, target)) return false;
+  const origin = from ?? attacker;
+  if (!inAttackRange(state, attacker, target, origin)) return false;
+  return isMelee(attacker) || !sightBlocker(state, origin, target, attacker.id);
+}
+
+// In range but out of sight: the tile blocking the shot, otherwise null
+export function blockedShot(state, attackerId, targetId) {
+  if (!canAct(state, attackerId)) return null;
+  const attacker = getUnit(state, attackerId);
+  const target = getUnit(state, targetId);
+  if (!isEnemyTarget(attacker, target) || isMelee(attacker)) return null;
+  if (!inAttackRange(state, attacker, target, attacker)) return null;
+  return sightBlocker(state, attacker, target, attacker.id);
+}
+
+// Melee step-then-attack: the reachable tile adjacent to the target that needs
+// the shortest move (tie-breaker: closest to the target), or null.
+export function findAttackApproach(state, attackerId, targetId) {
+  const attacker = getUnit(state, attackerId);
+  const target = getUnit(state, targetId);
+  if (!isMelee(attacker) || !canMove(state, attackerId)) return null;
+  if (!isEnemyTarget(attacker, target)) return null;
+  let best = null;
+  for (const k of reachableTiles(state, attackerId)) {
+    const t = parseKey(k);
+    const enemyDist = manhattan(t, target);
+    if (enemyDist > 1) continue;
+    const moveDist = manhattan(t, attacker);
+    if (
+      !best ||
+      moveDist < best.moveDist ||
+      (moveDist === best.moveDist && enemyDist < best.enemyDist)
+    )
+      best = { t, moveDist, enemyDist };
+  }
+  return best ? best.t : null;
+}
+
+// --------------------------- Abilities and items ---------------------------
+// Abilities and consumable items are aimed the same way. `cast` names one of
+// them: { abilityId } or { itemId } (an item casts its `use`, see items.js).
+export const castOf = (state, cast) =>
+  cast.itemId !== undefined
+    ? itemUse(state, cast.itemId)
+    : abilityOf(state, cast.abilityId);
+
+// Can the unit cast it right now: an ability it knows and is off cooldown, or
+// an item it still carries?
+export function canCast(state, unitId, cast) {
+  if (!canAct(state, unitId)) return false;
+  const u = getUnit(state, unitId);
+  const ability = castOf(state, cast);
+  if (!ability) return false;
+  if (cast.itemId !== undefined) return !!u.items?.includes(cast.itemId);
+  if (!u.abilities?.includes(cast.abilityId)) return false;
+  if (cooldownLeft(state, u, cast.abilityId) > 0) return false;
+  return !ability.charge || canMove(state, unitId);
+}
+
+export const canUseAbility = (state, unitId, abilityId) =>
+  canCast(state, unitId, { abilityId });
+
+export const canUseItem = (state, unitId, itemId) =>
+  canCast(state, unitId, { itemId });
+
+// Reach of an ability cast from `origin`; a charge rushes up to its range
+export const abilityRange = (state, u, ability, origin = u) =>
+  ability.range ?? (ability.charge ? u.move : attackRange(state, u, origin));
+
+// `state` with the unit standing on `from`, to look at a cast after a move
+const standingOn = (state, u, from) =>
+  !from || (from.x === u.x && from.y === u.y)
+    ? state
+    : {
+        ...state,
+        units: state.units.map((v) =>
+          v.id === u.id ? { ...v, x: from.x, y: from.y } : v
+        ),
+      };
+
+// Can the unit aim the cast at tile `at`, casting from its own tile (or from
+// `from`, to plan a move first)? Charges always start from the unit.
+export function canTargetCast(state, unitId, cast, at, from = null) {
+  if (!canCast(state, unitId, cast) || !inBounds(state.board, at)) return false;
+  const u = getUnit(state, unitId);
+  const ability = castOf(state, cast);
+  const origin = from ?? u;
+  const range = abilityRange(state, u, ability, origin);
+  if (ability.charge)
+    return (
+      origin.x === u.x &&
+      origin.y === u.y &&
+      !!targetUnit(state, u, ability, at) &&
+      !!chargeRush(state, u, at, range)
+    );
+  if (manhattan(origin, at) > range) return false;
+  if (
+    ability.target !== "tile" &&
+    !targetUnit(standingOn(state, u, from), u, ability, at)
+  )
+    return false;
+  return !ability.sight || !sightBlocker(state, origin, at, u.id);
+}
+
+export const canTargetAbility = (state, unitId, abilityId, at, from = null) =>
+  canTargetCast(state, unitId, { abilityId }, at, from);
+
+// Every tile the cast can be aimed at right now (or from `from`)
+export function castTargets(state, unitId, cast, from = null) {
+  if (!canCast(state, unitId, cast)) return [];
+  const u = getUnit(state, unitId);
+  const origin = from ?? u;
+  const range = abilityRange(state, u, castOf(state, cast), origin);
+  const tiles = [];
+  for (let dy = -range; dy <= range; dy++) {
+    const span = range - Math.abs(dy);
+    for (let dx = -span; dx <= span; dx++) {
+      const p = { x: origin.x + dx, y: origin.y + dy };
+      if (canTargetCast(state, unitId, cast, p, from)) tiles.push(p);
+    }
+  }
+  return tiles;
+}
+
+export const abilityTargets = (state, unitId, abilityId, from = null) =>
+  castTargets(state, unitId, { abilityId }, from);
+
+// What the cast would do aimed at `at`: { tiles, hits: [unit], landing }
+// (landing: where a charge ends up)
+export function castPreview(state, unitId, cast, at, from = null) {
+  const u = getUnit(state, unitId);
+  const ability = castOf(state, cast);
+  const planned = standingOn(state, u, from);
+  const tiles = areaTiles(state.board, at, ability.area);
+  const landing = ability.charge
+    ? chargeRush(state, u, at, abilityRange(state, u, ability))?.landing ?? null
+    : null;
+  return {
+    tiles,
+    hits: unitsHit(planned, getUnit(planned, unitId), ability, tiles),
+    landing,
+  };
+}
+
+// Every legal single action for the unit right now (endTurn excluded).
+// Step-then-attack is covered by a move followed by an attack.
+export function legalActions(state, unitId) {
+  if (!canAct(state, unitId)) return [];
+  const actions = [...reachableTiles(state, unitId)].map((k) => ({
+    type: "move",
+    unitId,
+    to: parseKey(k),
+  }));
+  state.units.forEach((t) => {
+    if (canAttack(state, unitId, t.id))
+      actions.push({ type: "attack", unitId, targetId: t.id });
+  });
+  unitAbilities(state, getUnit(state, unitId)).forEach(([abilityId]) =>
+    abilityTargets(state, unitId, abilityId).forEach((at) =>
+      actions.push({ type: "ability", unitId, abilityId, at })
+    )
+  );
+  unitItems(state, getUnit(state, unitId)).forEach(([itemId]) =>
+    castTargets(state, unitId, { itemId }).forEach((at) =>
+      actions.push({ type: "item", unitId, itemId, at })
+    )
+  );
+  actions.push({ type: "wait", unitId }, { type: "defend", unitId });
+  return actions;
+}
+
+// Returns null when the action is legal, otherwise a short reason
+export function validateAction(state, action) {
+  if (state.winner) return "battle is over";
+  switch (action.type) {
+    case "move":
+      if (!canMove(state, action.unitId)) return "unit cannot move";
+      if (!canMoveTo(state, action.unitId, action.to))
+        return "tile not reachable";
+      return null;
+    case "attack":
+      if (action.via && !canMoveTo(state, action.unitId, action.via))
+        return "approach tile not reachable";
+      if (!canAttack(state, action.unitId, action.targetId, action.via))
+        return "target not attackable";
+      return null;
+    case "ability":
+      if (!canUseAbility(state, action.unitId, action.abilityId))
+        return "ability not ready";
+      return canTargetAbility(
+        state,
+        action.unitId,
+        action.abilityId,
+        action.at ?? {}
+      )
+        ? null
+        : "no valid target there";
+    case "item":
+      if (!canUseItem(state, action.unitId, action.itemId))
+        return "item not carried";
+      return canTargetCast(
+        state,
+        action.unitId,
+        { itemId: action.itemId },
+        action.at ?? {}
+      )
+        ? null
+        : "no valid target there";
+    case "wait":
+    case "defend":
+      return canAct(state, action.unitId) ? null : "unit cannot act";
+    case "endTurn":
+      return null;
+    default:
+      return `unknown action "${action.type}"`;
+  }
+}
+
+// --------------------------- Resolution ---------------------------
+// Acting uses up the rest of the unit's turn, movement included
+function finishUnit(unit) {
+  unit.hasMoved = true;
+  unit.hasActed = true;
+}
+
+function moveUnit(state, unit, to, events) {
+  const from = { x: unit.x, y: unit.y };
+  const path = movePath(state, unit.id, to);
+  unit.x = to.x;
+  unit.y = to.y;
+  unit.hasMoved = true;
+  events.push({ type: "move", unitId: unit.id, from, to: { ...to }, path });
+  landOn(state, unit, events);
+}
+
+// A rolled strike landing on `target`: armor and cover soak first, then its
+// shields (a timed one before an item's passive one)
+function strike(state, target, { raw }) {
+  const through = Math.max(0, raw - guardOf(state, target));
+  const shields = (target.effects ?? [])
+    .filter((e) => e.kind === "shield")
+    .sort((a, b) => !!a.passive - !!b.passive);
+  let absorbed = 0;
+  shields.forEach((shield) => {
+    const soaked = Math.min(through - absorbed, shield.power);
+    shield.power -= soaked;
+    absorbed += soaked;
+  });
+  const damage = through - absorbed;
+  target.hp = Math.max(0, target.hp - damage);
+  return { damage, absorbed };
+}
+
+// A shield that soaked its last point breaks
+function dropSpentShield(target, events) {
+  (target.effects ?? [])
+    .filter((e) => e.kind === "shield" && e.power === 0)
+    .forEach((shield) => removeEffect(target, shield, events));
+}
+
+// One basic attack roll from `attacker` on `target`, with its events; true when
+// the target fell
+function strikeWith(state, attacker, target, events, retaliation = false) {
+  const [roll, rng] = rollStrike(
+    state.rng,
+    attacker,
+    target,
+    attackPower(attacker)
+  );
+  state.rng = rng;
+  const { damage, absorbed } = strike(state, target, roll);
+  events.push({
+    type: "attack",
+    unitId: attacker.id,
+    targetId: target.id,
+    from: { x: attacker.x, y: attacker.y },
+    at: { x: target.x, y: target.y },
+    hit: roll.hit,
+    crit: roll.crit,
+    damage,
+    absorbed,
+    hp: target.hp,
+    ...(retaliation && { retaliation }),
+  });
+  dropSpentShield(target, events);
+  return removeIfDead(state, target, attacker.id, events);
+}
+
+function resolveAttack(state, attacker, target, events) {
+  finishUnit(attacker);
+  const strikesBack = canRetaliate(state, attacker, target);
+  if (strikeWith(state, attacker, target, events) || !strikesBack) return;
+  target.retaliated = true;
+  strikeWith(state, target, attacker, events, true);
+}
+
+// `killerId` is null for deaths nobody caused (terrain). The killer notes the
+// type of every enemy it finishes off in `kills` (campaign XP, see campaign.js).
+function removeIfDead(state, target, killerId, events) {
+  if (target.hp > 0) return false;
+  const killer = getUnit(state, killerId);
+  if (killer && killer.team !== target.team)
+    killer.kills = [...(killer.kills ?? []), target.type];
+  state.units = state.units.filter((u) => u.id !== target.id);
+  if (state.queue) state.queue = state.queue.filter((id) => id !== target.id);
+  events.push({ type: "death", unitId: target.id, killerId });
+  return true;
+}
+
+// One strike (or 0..power heal roll) per unit hit, in unit order ("status"
+// abilities only apply their effect). A charge first rushes the caster next to its target; pushes
+// shove survivors away from the caster. Abilities start their cooldown, items
+// are used up.
+function resolveCast(state, caster, cast, at, events) {
+  const ability = castOf(state, cast);
+  if (ability.charge) {
+    const range = abilityRange(state, caster, ability);
+    const { landing, path } = chargeRush(state, caster, at, range);
+    if (path.length) {
+      const from = { x: caster.x, y: caster.y };
+      caster.x = landing.x;
+      caster.y = landing.y;
+      events.push({ type: "move", unitId: caster.id, from, to: landing, path });
+      landOn(state, caster, events);
+    }
+  }
+  if (cast.itemId !== undefined) {
+    const i = caster.items.indexOf(cast.itemId);
+    caster.items = caster.items.filter((_, j) => j !== i);
+  } else
+    caster.cooldowns = {
+      ...caster.cooldowns,
+      [cast.abilityId]: readyRound(state, ability),
+    };
+  finishUnit(caster);
+  const area = areaTiles(state.board, at, ability.area);
+  events.push({
+    type: cast.itemId !== undefined ? "item" : "ability",
+    unitId: caster.id,
+    ...cast,
+    from: { x: caster.x, y: caster.y },
+    at: { x: at.x, y: at.y },
+    area,
+  });
+  const power = abilityPower(caster, ability);
+  for (const target of unitsHit(state, caster, ability, area)) {
+    if (ability.effect === "status") {
+      addEffect(target, ability.applies, caster.id, events);
+      continue;
+    }
+    if (ability.effect === "heal") {
+      const [roll, rng] = rollInt(state.rng, 0, power);
+      state.rng = rng;
+      const nextHp = Math.min(target.hp + roll, healCap(target));
+      const amount = nextHp - target.hp;
+      target.hp = nextHp;
+      events.push({
+        type: "heal",
+        unitId: caster.id,
+        targetId: target.id,
+        ...cast,
+        amount,
+        hp: target.hp,
+      });
+      if (ability.applies)
+        addEffect(target, ability.applies, caster.id, events);
+      continue;
+    }
+    const [roll, rng] = rollStrike(state.rng, caster, target, power);
+    state.rng = rng;
+    const { damage, absorbed } = strike(state, target, roll);
+    events.push({
+      type: "hit",
+      unitId: caster.id,
+      targetId: target.id,
+      ...cast,
+      hit: roll.hit,
+      crit: roll.crit,
+      damage,
+      absorbed,
+      hp: target.hp,
+    });
+    dropSpentShield(target, events);
+    if (removeIfDead(state, target, caster.id, events)) continue;
+    if (ability.applies && damage > 0)
+      addEffect(target, ability.applies, caster.id, events);
+    if (!ability.push) continue;
+    const to = pushLanding(state, target, caster, ability.push);
+    if (to.x === target.x && to.y === target.y) continue;
+    const from = { x: target.x, y: target.y };
+    target.x = to.x;
+    target.y = to.y;
+    events.push({ type: "push", unitId: target.id, from, to });
+    landOn(state, target, events);
+  }
+}
+
+// --------------------------- Status effects ---------------------------
+// Applies an effect, or refreshes it: longer duration (a passive one never
+// runs out anyway), stronger power
+// The unit's timed effect of `kind`; an item's passive one stays apart from it
+const timedEffect = (unit, kind) =>
+  unit.effects?.find((e) => e.kind === kind && !e.passive) ?? null;
+
+function addEffect(unit, { kind, turns, power = 0 }, sourceId, events) {
+  const had = timedEffect(unit, kind);
+  const effect = had
+    ? {
+        ...had,
+        turns: Math.max(had.turns, turns),
+        power: Math.max(had.power, power),
+      }
+    : { kind, turns, power, sourceId };
+  unit.effects = [...(unit.effects ?? []).filter((e) => e !== had), effect];
+  events.push({
+    type: "status",
+    unitId: unit.id,
+    kind,
+    turns: effect.turns,
+    power: effect.power,
+    sourceId,
+  });
+}
+
+function removeEffect(unit, effect, events) {
+  unit.effects = unit.effects.filter((e) => e !== effect);
+  events.push({
+    type: "expire",
+    unitId: unit.id,
+    kind: effect.kind,
+    ...(effect.passive && { passive: true }),
+  });
+}
+
+// Terrain effects on a unit that ends a move on its tile or starts a turn there
+function landOn(state, unit, events) {
+  const terrain = terrainOf(state.board, unit);
+  (terrain.clears ?? []).forEach((kind) => {
+    const effect = timedEffect(unit, kind);
+    if (effect) removeEffect(unit, effect, events);
+  });
+  if (terrain.effect) addEffect(unit, terrain.effect, null, events);
+}
+
+// A unit starting its turn: terrain first, then every effect ticks once
+function tickEffects(state, u, events) {
+  landOn(state, u, events);
+  for (const effect of [...(u.effects ?? [])]) {
+    const def = STATUS_EFFECTS[effect.kind];
+    const before = u.hp;
+    if (def.damage) u.hp = Math.max(0, u.hp - effect.power);
+    if (def.heals) u.hp = Math.min(healCap(u), u.hp + effect.power);
+    if (def.skipTurn) {
+      finishUnit(u);
+      u.stunned = true;
+    }
+    if (!effect.passive) effect.turns -= 1;
+    if (!def.absorbs)
+      events.push({
+        type: "tick",
+        unitId: u.id,
+        kind: effect.kind,
+        amount: Math.abs(u.hp - before),
+        hp: u.hp,
+        turns: effect.turns,
+        ...(effect.passive && { passive: true }),
+      });
+    if (removeIfDead(state, u, effect.sourceId, events)) return;
+    if (effect.turns === 0) removeEffect(u, effect, events);
+  }
+}
+
+// The unit gets its move and action back and drops its guard
+function readyUnit(u) {
+  u.hasMoved = false;
+  u.hasActed = false;
+  u.defending = false;
+  u.stunned = false;
+}
+
+function endTurn(state, events) {
+  if (state.initiative) {
+    finishUnit(activeUnit(state));
+    return;
+  }
+  const next = otherTeam(state.turn);
+  if (next === "player") state.round += 1;
+  state.turn = next;
+  // the incoming side can also retaliate again in the coming round
+  unitsOf(state, next).forEach((u) => {
+    readyUnit(u);
+    u.retaliated = false;
+  });
+  events.push({ type: "turn", turn: state.turn, round: state.round });
+  unitsOf(state, next).forEach((u) => tickEffects(state, u, events));
+}
+
+// --------------------------- Initiative ---------------------------
+// Brings up the next unit once the active one is done or gone: a finished unit
+// leaves the queue, an empty queue starts the next round, and a unit that did
+// not wait earlier this round starts a fresh turn (stunned units are done at
+// once and skipped).
+function nextInitiative(state, wasActive, events) {
+  const active = activeUnit(state);
+  if (active?.id === wasActive) {
+    if (!active.hasActed) return;
+    state.queue.shift();
+  }
+  while (!computeWinner(state)) {
+    if (state.queue.length === 0) {
+      state.round += 1;
+      state.units.forEach((u) => {
+        u.retaliated = false;
+        u.waited = false;
+      });
+      state.queue = initiativeOrder(state);
+    }
+    const u = activeUnit(state);
+    state.turn = u.team;
+    events.push({
+      type: "turn",
+      turn: state.turn,
+      round: state.round,
+      unitId: u.id,
+    });
+    if (!u.waited) {
+      readyUnit(u);
+      tickEffects(state, u, events);
+    }
+    if (u.hp > 0 && !u.hasActed) return;
+    if (u.hp > 0) state.queue.shift();
+  }
+}
+
+function deferUnit(state, unit, events) {
+  unit.waited = true;
+  state.queue = [...state.queue.slice(1), unit.id];
+  events.push({ type: "wait", unitId: unit.id, deferred: true });
+}
+
+export function applyAction(state, action) {
+  const reason = validateAction(state, action);
+  if (reason) throw new Error(`Illegal ${action.type} action: ${reason}`);
+
+  const next = cloneState(state);
+  const events = [];
+  const unit = action.unitId ? getUnit(next, action.unitId) : null;
+  const wasActive = next.queue?.[0];
+
+  switch (action.type) {
+    case "move":
+      moveUnit(next, unit, action.to, events);
+      break;
+    case "attack":
+      if (action.via) moveUnit(next, unit, action.via, events);
+      resolveAttack(next, unit, getUnit(next, action.targetId), events);
+      break;
+    case "ability":
+      resolveCast(
+        next,
+        unit,
+        { abilityId: action.abilityId },
+        action.at,
+        events
+      );
+      break;
+    case "item":
+      resolveCast(next, unit, { itemId: action.itemId }, action.at, events);
+      break;
+    case "wait":
+      if (canDefer(next, unit.id)) {
+        deferUnit(next, unit, events);
+        break;
+      }
+      finishUnit(unit);
+      events.push({ type: "wait", unitId: unit.id });
+      break;
+    case "defend":
+      finishUnit(unit);
+      unit.defending = true;
+      events.push({ type: "defend", unitId: unit.id });
+      break;
+    case "endTurn":
+      endTurn(next, events);
+      break;
+  }
+
+  if (next.initiative) nextInitiative(next, wasActive, events);
+  next.winner = computeWinner(next);
+  if (next.winner) events.push({ type: "battleEnd", winner: next.winner });
+  return { state: next, events };
+}
@@ -0,0 +1,91 @@
+import { TEAMS } from "./scenario.js";
+
+// --------------------------- Save games ---------------------------
+// A save is plain JSON: { version, name, savedAt, setup, state }.
+// `setup` = { scenarioId, squad, difficulty, mode, initiative, campaignStage? } so
+// "Restart the battle" still works after loading (campaignStage: the campaign
+// battle it is, see campaign.js); `state` is the BattleState minus anything that only
+// exists for rendering (dying corpses and their animation data).
+
+export const SAVE_VERSION = 1;
+
+export class SaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SaveError";
+  }
+}
+
+const VIEW_ONLY = ["dying", "deathStarted", "deathDir"];
+
+// Deep copy of the state without corpses or animation data
+export function cleanState(state) {
+  const units = state.units
+    .filter((u) => !u.dying && u.hp > 0)
+    .map((u) => {
+      const copy = { ...u };
+      VIEW_ONLY.forEach((k) => delete copy[k]);
+      return copy;
+    });
+  return structuredClone({ ...state, units });
+}
+
+export function toSaveData(state, { name, setup, savedAt = Date.now() }) {
+  return {
+    version: SAVE_VERSION,
+    name,
+    savedAt,
+    setup,
+    state: cleanState(state),
+  };
+}
+
+const isInt = (v) => Number.isInteger(v);
+
+// What is wrong with a BattleState read from disk, or null if it looks usable
+export function stateProblem(state) {
+  if (!state || !Array.isArray(state.units)) return "has no battle state";
+  if (!isInt(state.board?.cols) || !isInt(state.board?.rows))
+    return "has a broken board";
+  if (!TEAMS.includes(state.turn) || !isInt(state.round))
+    return "has a broken turn counter";
+  if (!isInt(state.seed) || !isInt(state.rng)) return "has a broken RNG state";
+  const badUnit = state.units.find(
+    (u) =>
+      typeof u?.id !== "string" ||
+      !TEAMS.includes(u.team) ||
+      ![u.x, u.y, u.hp, u.atk, u.move].every(isInt)
+  );
+  if (badUnit) return `has a broken unit (${badUnit?.id ?? "?"})`;
+  return null;
+}
+
+// Validates a parsed save and returns { name, savedAt, setup, state }
+export function fromSaveData(data) {
+  if (data == null || typeof data !== "object")
+    throw new SaveError("Save file is empty or not an object");
+  if (data.version !== SAVE_VERSION)
+    throw new SaveError(
+      `Unsupported save version ${data.version} (expected ${SAVE_VERSION})`
+    );
+  const { state, setup } = data;
+  const problem = stateProblem(state);
+  if (problem) throw new SaveError(`Save ${problem}`);
+  if (!setup || typeof setup.scenarioId !== "string")
+    throw new SaveError("Save does not say which scenario it belongs to");
+  return {
+    name: data.name,
+    savedAt: data.savedAt,
+    setup,
+    state: structuredClone(state),
+  };
+}
+
+// Short description for save slot lists
+export const saveSummary = (data) => ({
+  name: data.name,
+  savedAt: data.savedAt,
+  scenarioId: data.setup?.scenarioId,
+  round: data.state?.round,
+  heroes: data.state?.units?.filter((u) => u.team === "player").length ?? 0,
+});
@@ -0,0 +1,570 @@
+import { key } from "./grid.js";
+import {
+  ABILITY_AFFECTS,
+  ABILITY_EFFECTS,
+  ABILITY_SHAPES,
+  ABILITY_TARGETS,
+} from "./abilities.js";
+import { GROWTH_STATS } from "./campaign.js";
+import { COMBAT_DEFAULTS } from "./combat.js";
+import { STATUS_KINDS } from "./effects.js";
+import {
+  equipUnit,
+  gearProblem,
+  ITEM_SLOTS,
+  ITEM_STATS,
+  WORN_SLOTS,
+} from "./items.js";
+import { TRAITS } from "./rules.js";
+import { createBattleState } from "./state.js";
+import { TERRAIN } from "./terrain.js";
+
+// --------------------------- Scenarios ---------------------------
+// Designers describe heroes and battles in JSON (public/scenarios/):
+//
+// roster.json
+//   { classes: { <class>: { attackRange?, ...combat stats } },
+//     abilities?: { <id>: { name, effect, target, ... } },   // see abilities.js
+//     items?: { <id>: { name, slot, mods?, passive?, use?, ... } },   // see items.js
+//     units: { <type>: { name?, class, hp, count?, atk, move, speed?, attackRange?,
+//                        ...combat stats, abilities?: [<id>],
+//                        traits?: ["noRetaliation"], portrait?, model?,
+//                        loot?: [{ item, chance }],
+//                        growth?, unlocks? } } }   // campaign levels, see campaign.js
+//
+// `hp` and `atk` are per creature: a type with `count` > 1 takes the field as
+// a stack of that many (see stacks.js). `speed` orders the initiative queue (default: move); `portrait` is a short
+// glyph (an emoji) for the initiative bar.
+//
+// Combat stats (see combat.js; unit types override their class): accuracy?,
+// evasion?, armor?, crit?, critMultiplier?, bonusVs?: { <class>: damage }
+//
+// <scenario>.json
+//   { id, name, description?, board: { cols, rows },
+//     terrain?: [{ x, y, type }],
+//     units: [{ id?, unit: <type>, team: "player" | "enemy", x, y }] }
+//
+// campaign.json: the battles of the campaign in order (see campaign.js)
+//
+// Validation collects every problem it can find so a designer sees all of
+// them at once, then throws a single ScenarioError.
+
+export const TEAMS = ["player", "enemy"];
+const MAX_BOARD_SIZE = 32;
+
+export class ScenarioError extends Error {
+  constructor(file, problems) {
+    super(`${file}: ${problems.join("; ")}`);
+    this.name = "ScenarioError";
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const describe = (v) => (v === undefined ? "missing" : JSON.stringify(v));
+
+// Small field checker: pushes "<path> must be ..." messages into `problems`
+function checker(problems) {
+  const fail = (path, what, v) =>
+    problems.push(`${path} must be ${what} (got ${describe(v)})`);
+  return {
+    int(path, v, min = -Infinity, max = Infinity, optional = false) {
+      if (optional && v === undefined) return true;
+      if (!Number.isInteger(v) || v < min || v > max) {
+        const range =
+          max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+        fail(path, `an integer ${range}`, v);
+        return false;
+      }
+      return true;
+    },
+    string(path, v, optional = false) {
+      if (optional && v === undefined) return true;
+      if (typeof v !== "string" || !v.trim()) {
+        fail(path, "a non-empty string", v);
+        return false;
+      }
+      return true;
+    },
+    bool(path, v) {
+      if (v !== undefined && typeof v !== "boolean") {
+        fail(path, "true or false", v);
+        return false;
+      }
+      return true;
+    },
+    oneOf(path, v, options) {
+      if (!options.includes(v)) {
+        fail(path, `one of ${options.map((o) => `"${o}"`).join(", ")}`, v);
+        return false;
+      }
+      return true;
+    },
+    object(path, v) {
+      if (!isObject(v)) {
+        fail(path, "an object", v);
+        return false;
+      }
+      return true;
+    },
+    number(path, v, min = -Infinity, max = Infinity, optional = false) {
+      if (optional && v === undefined) return true;
+      if (typeof v !== "number" || !(v >= min && v <= max)) {
+        fail(path, `a number between ${min} and ${max}`, v);
+        return false;
+      }
+      return true;
+    },
+    array(path, v, optional = false) {
+      if (optional && v === undefined) return true;
+      if (!Array.isArray(v)) {
+        fail(path, "an array", v);
+        return false;
+      }
+      return true;
+    },
+  };
+}
+
+// Optional combat stats of a class or unit type
+function checkCombatStats(check, p, def, classes) {
+  check.int(`${p}.accuracy`, def.accuracy, 0, 200, true);
+  check.int(`${p}.evasion`, def.evasion, 0, 100, true);
+  check.int(`${p}.armor`, def.armor, 0, 99, true);
+  check.int(`${p}.crit`, def.crit, 0, 100, true);
+  check.number(`${p}.critMultiplier`, def.critMultiplier, 1, 10, true);
+  if (def.bonusVs !== undefined && check.object(`${p}.bonusVs`, def.bonusVs))
+    Object.entries(def.bonusVs).forEach(([cls, bonus]) => {
+      check.oneOf(`${p}.bonusVs key`, cls, classes);
+      check.int(`${p}.bonusVs.${cls}`, bonus, -99, 99);
+    });
+}
+
+// Fields of an ability definition (also an item's `use`), name aside
+function checkAbility(check, problems, p, a) {
+  check.oneOf(`${p}.effect`, a.effect, ABILITY_EFFECTS);
+  check.oneOf(`${p}.target`, a.target, ABILITY_TARGETS);
+  check.int(`${p}.range`, a.range, 1, 99, true);
+  if (a.area !== undefined && check.object(`${p}.area`, a.area)) {
+    check.oneOf(`${p}.area.shape`, a.area.shape, ABILITY_SHAPES);
+    check.int(`${p}.area.radius`, a.area.radius, 0, 9, true);
+  }
+  if (a.affects !== undefined)
+    check.oneOf(`${p}.affects`, a.affects, ABILITY_AFFECTS);
+  check.int(`${p}.power`, a.power, 0, Infinity, true);
+  check.int(`${p}.bonus`, a.bonus, -99, 99, true);
+  check.int(`${p}.cooldown`, a.cooldown, 0, 99, true);
+  check.int(`${p}.push`, a.push, 0, 9, true);
+  check.bool(`${p}.sight`, a.sight);
+  check.bool(`${p}.self`, a.self);
+  check.bool(`${p}.charge`, a.charge);
+  if (a.charge && a.target !== "enemy")
+    problems.push(`${p} is a charge, so its target must be "enemy"`);
+  if (a.applies !== undefined && check.object(`${p}.applies`, a.applies)) {
+    check.oneOf(`${p}.applies.kind`, a.applies.kind, STATUS_KINDS);
+    check.int(`${p}.applies.turns`, a.applies.turns, 1, 99);
+    check.int(`${p}.applies.power`, a.applies.power, 0, 99, true);
+  } else if (a.effect === "status")
+    problems.push(`${p} has effect "status", so it needs "applies"`);
+}
+
+export function validateRoster(data, file = "roster.json") {
+  const problems = [];
+  const check = checker(problems);
+  if (!check.object("roster", data)) throw new ScenarioError(file, problems);
+
+  const classes = isObject(data.classes) ? Object.keys(data.classes) : [];
+  if (check.object("classes", data.classes)) {
+    Object.entries(data.classes).forEach(([name, cls]) => {
+      if (!check.object(`classes.${name}`, cls)) return;
+      check.int(`classes.${name}.attackRange`, cls.attackRange, 1, 99, true);
+      checkCombatStats(check, `classes.${name}`, cls, classes);
+    });
+  }
+
+  if (data.abilities !== undefined && check.object("abilities", data.abilities))
+    Object.entries(data.abilities).forEach(([id, a]) => {
+      const p = `abilities.${id}`;
+      if (!check.object(p, a)) return;
+      check.string(`${p}.name`, a.name);
+      check.string(`${p}.description`, a.description, true);
+      checkAbility(check, problems, p, a);
+    });
+  const abilityIds = isObject(data.abilities)
+    ? Object.keys(data.abilities)
+    : [];
+
+  if (data.items !== undefined && check.object("items", data.items))
+    Object.entries(data.items).forEach(([id, item]) => {
+      const p = `items.${id}`;
+      if (!check.object(p, item)) return;
+      check.string(`${p}.name`, item.name);
+      check.string(`${p}.icon`, item.icon, true);
+      check.string(`${p}.description`, item.description, true);
+      check.oneOf(`${p}.slot`, item.slot, ITEM_SLOTS);
+      if (item.mods !== undefined && check.object(`${p}.mods`, item.mods))
+        Object.entries(item.mods).forEach(([stat, amount]) => {
+          check.oneOf(`${p}.mods key`, stat, ITEM_STATS);
+          check.int(`${p}.mods.${stat}`, amount, -99, 99);
+        });
+      if (
+        item.passive !== undefined &&
+        check.object(`${p}.passive`, item.passive)
+      ) {
+        check.oneOf(`${p}.passive.kind`, item.passive.kind, STATUS_KINDS);
+        check.int(`${p}.passive.power`, item.passive.power, 0, 99, true);
+      }
+      const worn = WORN_SLOTS.includes(item.slot);
+      if (!worn && (item.mods || item.passive))
+        problems.push(`${p} is not worn, so it cannot have mods or a passive`);
+      if (item.slot === "consumable") {
+        if (check.object(`${p}.use`, item.use)) {
+          checkAbility(check, problems, `${p}.use`, item.use);
+          if (item.use.charge || item.use.cooldown !== undefined)
+            problems.push(`${p}.use cannot charge or have a cooldown`);
+        }
+      } else if (item.use !== undefined)
+        problems.push(`${p} is not a consumable, so it cannot have "use"`);
+    });
+  const itemIds = isObject(data.items) ? Object.keys(data.items) : [];
+
+  if (check.object("units", data.units)) {
+    if (Object.keys(data.units).length === 0)
+      problems.push("units must define at least one unit type");
+    Object.entries(data.units).forEach(([type, def]) => {
+      const p = `units.${type}`;
+      if (!check.object(p, def)) return;
+      check.string(`${p}.name`, def.name, true);
+      check.oneOf(`${p}.class`, def.class, classes);
+      check.int(`${p}.hp`, def.hp, 1);
+      check.int(`${p}.count`, def.count, 1, 999, true);
+      check.int(`${p}.atk`, def.atk, 0);
+      check.int(`${p}.move`, def.move, 0);
+      check.int(`${p}.speed`, def.speed, 0, 99, true);
+      check.int(`${p}.attackRange`, def.attackRange, 1, 99, true);
+      checkCombatStats(check, p, def, classes);
+      if (check.array(`${p}.abilities`, def.abilities, true))
+        (def.abilities ?? []).forEach((id, i) =>
+          check.oneOf(`${p}.abilities[${i}]`, id, abilityIds)
+        );
+      if (check.array(`${p}.traits`, def.traits, true))
+        (def.traits ?? []).forEach((t, i) =>
+          check.oneOf(`${p}.traits[${i}]`, t, TRAITS)
+        );
+      check.bool(`${p}.playable`, def.playable);
+      check.string(`${p}.portrait`, def.portrait, true);
+      if (def.growth !== undefined && check.object(`${p}.growth`, def.growth))
+        Object.entries(def.growth).forEach(([stat, per]) => {
+          check.oneOf(`${p}.growth key`, stat, GROWTH_STATS);
+          check.int(`${p}.growth.${stat}`, per, 0, 99);
+        });
+      if (
+        def.unlocks !== undefined &&
+        check.object(`${p}.unlocks`, def.unlocks)
+      )
+        Object.entries(def.unlocks).forEach(([level, ids]) => {
+          check.int(`${p}.unlocks key`, Number(level), 2, 99);
+          if (check.array(`${p}.unlocks.${level}`, ids))
+            ids.forEach((id, i) =>
+              check.oneOf(`${p}.unlocks.${level}[${i}]`, id, abilityIds)
+            );
+        });
+      if (check.array(`${p}.loot`, def.loot, true))
+        (def.loot ?? []).forEach((drop, i) => {
+          if (!check.object(`${p}.loot[${i}]`, drop)) return;
+          check.oneOf(`${p}.loot[${i}].item`, drop.item, itemIds);
+          check.int(`${p}.loot[${i}].chance`, drop.chance, 1, 100);
+        });
+      check.string(`${p}.model`, def.model, true);
+    });
+  }
+
+  if (problems.length) throw new ScenarioError(file, problems);
+  return data;
+}
+
+export function validateScenario(data, roster, file = "scenario.json") {
+  const problems = [];
+  const check = checker(problems);
+  if (!check.object("scenario", data)) throw new ScenarioError(file, problems);
+
+  check.string("id", data.id);
+  check.string("name", data.name);
+  check.string("description", data.description, true);
+
+  let cols = 0;
+  let rows = 0;
+  if (check.object("board", data.board)) {
+    if (check.int("board.cols", data.board.cols, 2, MAX_BOARD_SIZE))
+      cols = data.board.cols;
+    if (check.int("board.rows", data.board.rows, 2, MAX_BOARD_SIZE))
+      rows = data.board.rows;
+  }
+  const inBoard = (path, p) => {
+    if (!cols || !rows) return false; // board itself is broken, reported above
+    const okX = check.int(`${path}.x`, p.x, 0, cols - 1);
+    const okY = check.int(`${path}.y`, p.y, 0, rows - 1);
+    return okX && okY;
+  };
+
+  const blocked = new Set();
+  const terrainTiles = new Set();
+  if (check.array("terrain", data.terrain, true)) {
+    (data.terrain ?? []).forEach((t, i) => {
+      const p = `terrain[${i}]`;
+      if (!check.object(p, t)) return;
+      const placed = inBoard(p, t);
+      const typed = check.oneOf(`${p}.type`, t.type, Object.keys(TERRAIN));
+      if (!placed) return;
+      const k = key(t.x, t.y);
+      if (terrainTiles.has(k))
+        problems.push(`${p} repeats tile (${t.x},${t.y})`);
+      terrainTiles.add(k);
+      if (typed && TERRAIN[t.type].blocksMove) blocked.add(k);
+    });
+  }
+
+  const unitTypes = Object.keys(roster.units);
+  const ids = new Set();
+  const tiles = new Set();
+  const teams = new Set();
+  if (check.array("units", data.units)) {
+    data.units.forEach((u, i) => {
+      const p = `units[${i}]`;
+      if (!check.object(p, u)) return;
+      check.oneOf(`${p}.unit`, u.unit, unitTypes);
+      if (check.oneOf(`${p}.team`, u.team, TEAMS)) teams.add(u.team);
+      const id = u.id ?? u.unit;
+      if (check.string(`${p}.id`, id)) {
+        if (ids.has(id)) problems.push(`${p}.id "${id}" is used twice`);
+        ids.add(id);
+      }
+      if (!inBoard(p, u)) return;
+      const k = key(u.x, u.y);
+      if (tiles.has(k))
+        problems.push(`${p} shares tile (${u.x},${u.y}) with another unit`);
+      if (blocked.has(k))
+        problems.push(`${p} stands on impassable terrain at (${u.x},${u.y})`);
+      tiles.add(k);
+    });
+    TEAMS.forEach((team) => {
+      if (!teams.has(team))
+        problems.push(`units must include at least one ${team} unit`);
+    });
+  }
+
+  let deployCount = Array.isArray(data.units)
+    ? data.units.filter((u) => u?.team === "player").length
+    : 0;
+  if (check.array("deploy", data.deploy, true)) {
+    (data.deploy ?? []).forEach((t, i) => {
+      const p = `deploy[${i}]`;
+      if (!check.object(p, t) || !inBoard(p, t)) return;
+      const k = key(t.x, t.y);
+      if (tiles.has(k))
+        problems.push(
+          `${p} overlaps a unit or another deploy tile at (${t.x},${t.y})`
+        );
+      if (blocked.has(k))
+        problems.push(`${p} is on impassable terrain at (${t.x},${t.y})`);
+      tiles.add(k);
+      deployCount += 1;
+    });
+  }
+  if (
+    check.int("squadCap", data.squadCap, 1, Infinity, true) &&
+    data.squadCap > deployCount
+  )
+    problems.push(
+      `squadCap (${data.squadCap}) exceeds the ${deployCount} player start tiles`
+    );
+
+  if (problems.length) throw new ScenarioError(file, problems);
+  return data;
+}
+
+export function validateCampaign(
+  data,
+  roster,
+  scenarios,
+  file = "campaign.json"
+) {
+  const problems = [];
+  const check = checker(problems);
+  if (!check.object("campaign", data)) throw new ScenarioError(file, problems);
+
+  check.string("id", data.id);
+  check.string("name", data.name);
+  check.string("description", data.description, true);
+  const playable = playableTypes(roster);
+  const checkHeroes = (path, list) => {
+    if (check.array(path, list))
+      list.forEach((type, i) => check.oneOf(`${path}[${i}]`, type, playable));
+  };
+  checkHeroes("heroes", data.heroes);
+  if (check.array("levels", data.levels))
+    data.levels.forEach((xp, i) => {
+      if (check.int(`levels[${i}]`, xp, 1) && i > 0 && xp <= data.levels[i - 1])
+        problems.push(`levels[${i}] must be more than levels[${i - 1}]`);
+    });
+  check.int("rest", data.rest, 0, 999, true);
+  const itemIds = Object.keys(roster.items ?? {});
+  const checkItems = (path, list) => {
+    if (check.array(path, list, true))
+      (list ?? []).forEach((id, i) =>
+        check.oneOf(`${path}[${i}]`, id, itemIds)
+      );
+  };
+  checkItems("inventory", data.inventory);
+  if (data.gear !== undefined && check.object("gear", data.gear))
+    Object.entries(data.gear).forEach(([type, list]) => {
+      check.oneOf("gear key", type, playable);
+      checkItems(`gear.${type}`, list);
+      const clash =
+        Array.isArray(list) &&
+        list.every((id) => itemIds.includes(id)) &&
+        gearProblem(roster.items ?? {}, list);
+      if (clash) problems.push(`gear.${type} has ${clash}`);
+    });
+  if (check.array("battles", data.battles)) {
+    if (data.battles.length === 0)
+      problems.push("battles must list at least one battle");
+    data.battles.forEach((b, i) => {
+      const p = `battles[${i}]`;
+      if (!check.object(p, b)) return;
+      check.oneOf(`${p}.scenario`, b.scenario, Object.keys(scenarios));
+      if (check.object(`${p}.map`, b.map)) {
+        check.number(`${p}.map.x`, b.map.x, 0, 100);
+        check.number(`${p}.map.y`, b.map.y, 0, 100);
+      }
+      if (b.recruits !== undefined) checkHeroes(`${p}.recruits`, b.recruits);
+      checkItems(`${p}.loot`, b.loot);
+    });
+  }
+
+  if (problems.length) throw new ScenarioError(file, problems);
+  return data;
+}
+
+// Battle-ready unit from a roster type; `assetBase` prefixes model paths
+export function makeUnit(roster, type, placement, { assetBase = "" } = {}) {
+  const def = roster.units[type];
+  const cls = roster.classes[def.class] ?? {};
+  const unit = {
+    id: placement.id ?? type,
+    type,
+    name: def.name ?? type,
+    team: placement.team,
+    classType: def.class,
+    x: placement.x,
+    y: placement.y,
+    hp: def.hp * (def.count ?? 1),
+    maxHp: def.hp * (def.count ?? 1),
+    creatureHp: def.hp,
+    count: def.count ?? 1,
+    atk: def.atk,
+    move: def.move,
+    speed: def.speed ?? def.move,
+    attackRange: def.attackRange ?? cls.attackRange ?? 1,
+    ...Object.fromEntries(
+      Object.entries(COMBAT_DEFAULTS).map(([stat, fallback]) => [
+        stat,
+        def[stat] ?? cls[stat] ?? fallback,
+      ])
+    ),
+    bonusVs: { ...cls.bonusVs, ...def.bonusVs },
+    modelUrl: def.model ? `${assetBase}${def.model}` : "",
+    portrait: def.portrait ?? "",
+    abilities: [...(def.abilities ?? [])],
+    traits: [...(def.traits ?? [])],
+    cooldowns: {},
+    effects: [],
+    hasMoved: false,
+    hasActed: false,
+  };
+  return unit;
+}
+
+// Player start tiles in placement order
+export const deploymentTiles = (scenario) => [
+  ...scenario.units
+    .filter((u) => u.team === "player")
+    .map(({ x, y }) => ({ x, y })),
+  ...(scenario.deploy ?? []).map(({ x, y }) => ({ x, y })),
+];
+
+export const squadCap = (scenario) =>
+  scenario.squadCap ?? deploymentTiles(scenario).length;
+
+export const defaultSquad = (scenario) =>
+  scenario.units.filter((u) => u.team === "player").map((u) => u.unit);
+
+export const playableTypes = (roster) =>
+  Object.keys(roster.units).filter((type) => roster.units[type].playable);
+
+// Null when the squad (list of roster types) may enter the scenario, else a reason
+export function validateSquad(scenario, roster, squad) {
+  if (squad.length === 0) return "pick at least one hero";
+  if (squad.length > squadCap(scenario))
+    return `at most ${squadCap(scenario)} heroes fit this battle`;
+  const bad = squad.find((type) => !roster.units[type]?.playable);
+  if (bad) return `"${bad}" is not a playable hero`;
+  const twice = squad.find((type, i) => squad.indexOf(type) !== i);
+  return twice ? `"${twice}" is picked twice` : null;
+}
+
+// Squad types -> player placements on the deployment tiles
+function squadPlacements(scenario, squad) {
+  const tiles = deploymentTiles(scenario);
+  return squad.map((type, i) => ({
+    id: type,
+    unit: type,
+    team: "player",
+    ...tiles[i],
+  }));
+}
+
+export function scenarioTerrain(scenario) {
+  const terrain = {};
+  (scenario.terrain ?? []).forEach((t) => {
+    terrain[key(t.x, t.y)] = t.type;
+  });
+  return terrain;
+}
+
+// Validated scenario + roster -> fresh BattleState. `squad` (roster types)
+// replaces the scenario's default player units; `adjust(unit)` may change each
+// unit before the battle starts (campaign heroes, see campaign.heroUnit). Units
+// given `gear` that way then put it on (see items.js).
+export function createScenarioBattle(
+  scenario,
+  roster,
+  { seed, assetBase, squad, difficulty, initiative, adjust = (u) => u } = {}
+) {
+  if (squad) {
+    const reason = validateSquad(scenario, roster, squad);
+    if (reason) throw new ScenarioError(`${scenario.id}.json`, [reason]);
+  }
+  const placements = squad
+    ? [
+        ...squadPlacements(scenario, squad),
+        ...scenario.units.filter((u) => u.team !== "player"),
+      ]
+    : scenario.units;
+  const units = placements.map((p) =>
+    equipUnit(
+      roster.items ?? {},
+      adjust(makeUnit(roster, p.unit, p, { assetBase }))
+    )
+  );
+  return createBattleState(units, {
+    seed,
+    difficulty,
+    initiative,
+    abilities: roster.abilities,
+    items: roster.items,
+    board: scenario.board,
+    terrain: scenarioTerrain(scenario),
+  });
+}
@@ -0,0 +1,40 @@
+import { key } from "./grid.js";
+import { occupiedSet } from "./state.js";
+import { terrainOf } from "./terrain.js";
+
+// --------------------------- Line of sight ---------------------------
+// Tiles strictly between `from` and `to` along a Bresenham line.
+export function lineTiles(from, to) {
+  const tiles = [];
+  const dx = Math.abs(to.x - from.x);
+  const dy = Math.abs(to.y - from.y);
+  const sx = from.x < to.x ? 1 : -1;
+  const sy = from.y < to.y ? 1 : -1;
+  let err = dx - dy;
+  let x = from.x;
+  let y = from.y;
+  while (x !== to.x || y !== to.y) {
+    const e2 = 2 * err;
+    if (e2 > -dy) {
+      err -= dy;
+      x += sx;
+    }
+    if (e2 < dx) {
+      err += dx;
+      y += sy;
+    }
+    if (x !== to.x || y !== to.y) tiles.push({ x, y });
+  }
+  return tiles;
+}
+
+// First tile that blocks a shot from `from` to `to` (a unit or sight-blocking
+// terrain), or null when the line is clear. `exceptId` is the shooter itself.
+export function sightBlocker(state, from, to, exceptId = null) {
+  const units = occupiedSet(state, exceptId);
+  return (
+    lineTiles(from, to).find(
+      (p) => units.has(key(p.x, p.y)) || terrainOf(state.board, p).blocksSight
+    ) ?? null
+  );
+}
@@ -0,0 +1,25 @@
+// --------------------------- Stacks ---------------------------
+// A unit is a stack of `count` creatures with `creatureHp` hp each (a lone hero
+// is a stack of one). `hp` is what the whole stack has left and `maxHp` the
+// stack at full strength, so damage takes out whole creatures and wounds the
+// top one. The stack hits as hard as the creatures still standing; heals and
+// regeneration only patch up the survivors, they never raise the fallen.
+
+export const creatureHp = (u) => u.creatureHp ?? u.maxHp ?? u.hp;
+
+// Creatures still standing
+export const creaturesLeft = (u) =>
+  u.hp > 0 ? Math.ceil(u.hp / creatureHp(u)) : 0;
+
+// Creatures that fall when the unit, at its current hp, takes `damage`
+export const creaturesLost = (u, damage) =>
+  creaturesLeft(u) - creaturesLeft({ ...u, hp: u.hp - damage });
+
+// Is the unit a stack of several creatures (however many are left)?
+export const isStack = (u) => (u.count ?? 1) > 1;
+
+// Attack power of the stack: atk per creature standing
+export const attackPower = (u) => (u.atk ?? 0) * creaturesLeft(u);
+
+// Most hp the unit can be healed up to: every survivor at full health
+export const healCap = (u) => creaturesLeft(u) * creatureHp(u);
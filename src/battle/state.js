@@ -0,0 +1,126 @@
+import { GRID_COLS, GRID_ROWS, key } from "./grid.js";
+import { randomSeed } from "./rng.js";
+import { impassableSet } from "./terrain.js";
+
+// --------------------------- BattleState ---------------------------
+// Plain, JSON-serializable snapshot of a battle:
+// {
+//   board: { cols, rows, terrain: { "x,y": type } },   // see terrain.js
+//   units: [{ id, type, name, team, classType, x, y, hp, maxHp, atk, move, speed?, attackRange?,
+//             creatureHp?, count?,   // stacks: hp per creature, creatures at full strength (see stacks.js)
+//             accuracy?, evasion?, armor?, crit?, critMultiplier?, bonusVs?,   // see combat.js
+//             abilities: [abilityId], cooldowns: { abilityId: round ready again },
+//             effects: [{ kind, turns, power, sourceId, passive? }],   // see effects.js
+//             gear?: [itemId], items?: [itemId],   // brought and still carried, see items.js
+//             traits?: ["noRetaliation"],
+//             level?, kills?: [unitType],   // campaign heroes, see campaign.js
+//             portrait?, hasMoved, hasActed, defending?, stunned?, retaliated?, waited?, ... }],
+//   abilities: { abilityId: definition },   // see abilities.js
+//   items: { itemId: definition },   // see items.js
+//   turn: "player" | "enemy",   // with initiative: the side of the active unit
+//   initiative: bool,   // units take turns one at a time in speed order
+//   queue?: [unitId],   // initiative only: the rest of the round, active unit first
+//   round: 1..n,
+//   seed: uint32 the battle was started with (replays need only this + actions),
+//   rng: uint32 generator state (see rng.js), advanced by every roll,
+//   difficulty: "easy" | "normal" | "hard" (enemy AI profile),
+//   winner: null | "player" | "enemy",
+// }
+// Each turn a unit may move once and then act once (attack, use an ability,
+// wait or defend); acting ends its turn. Sides take whole turns in turn, or
+// with `initiative` every unit of both sides gets its own turn each round,
+// fastest first. Dead units are removed from `units` as soon as they die;
+// corpses are a rendering concern.
+
+export function createBattleState(
+  units,
+  {
+    seed,
+    board,
+    terrain = {},
+    abilities = {},
+    items = {},
+    difficulty = "normal",
+    turn = "player",
+    initiative = false,
+  } = {}
+) {
+  const battleSeed = seed ?? randomSeed();
+  const state = {
+    board: {
+      cols: board?.cols ?? GRID_COLS,
+      rows: board?.rows ?? GRID_ROWS,
+      terrain: { ...terrain },
+    },
+    units: units.map((u) => ({
+      ...u,
+      hasMoved: false,
+      hasActed: false,
+      defending: false,
+      cooldowns: {},
+      // worn items' passives last all battle
+      effects: (u.effects ?? []).filter((e) => e.passive),
+    })),
+    abilities: structuredClone(abilities),
+    items: structuredClone(items),
+    turn,
+    round: 1,
+    seed: battleSeed,
+    rng: battleSeed,
+    difficulty,
+    initiative,
+    winner: null,
+  };
+  if (!initiative) return state;
+  state.queue = initiativeOrder(state);
+  state.turn = getUnit(state, state.queue[0])?.team ?? turn;
+  return state;
+}
+
+export const cloneState = (state) => structuredClone(state);
+
+export const getUnit = (state, id) =>
+  state.units.find((u) => u.id === id) ?? null;
+
+export const unitsOf = (state, team) =>
+  state.units.filter((u) => u.team === team && u.hp > 0);
+
+export const speedOf = (u) => u.speed ?? u.move ?? 0;
+
+// Living units for a new initiative round as ids: fastest first, the player's
+// side first on a tie, then in `units` order
+export const initiativeOrder = (state) =>
+  state.units
+    .filter((u) => u.hp > 0)
+    .sort(
+      (a, b) =>
+        speedOf(b) - speedOf(a) ||
+        (a.team === "player" ? 0 : 1) - (b.team === "player" ? 0 : 1)
+    )
+    .map((u) => u.id);
+
+export const otherTeam = (team) => (team === "player" ? "enemy" : "player");
+
+// Occupied tiles as "x,y" keys, optionally ignoring one unit (the mover itself)
+export function occupiedSet(state, exceptId = null) {
+  const s = new Set();
+  state.units.forEach((u) => {
+    if (u.id !== exceptId) s.add(key(u.x, u.y));
+  });
+  return s;
+}
+
+// Tiles a unit cannot enter: other units plus impassable terrain
+export function blockedSet(state, exceptId = null) {
+  const s = occupiedSet(state, exceptId);
+  impassableSet(state.board).forEach((k) => s.add(k));
+  return s;
+}
+
+export function computeWinner(state) {
+  const playersAlive = unitsOf(state, "player").length > 0;
+  const enemiesAlive = unitsOf(state, "enemy").length > 0;
+  if (!playersAlive) return "enemy";
+  if (!enemiesAlive) return "player";
+  return null;
+}
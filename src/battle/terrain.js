@@ -0,0 +1,45 @@
+import { key } from "./grid.js";
+
+// --------------------------- Terrain ---------------------------
+// Per-tile terrain lives sparsely on the board: `board.terrain = { "x,y": type }`,
+// tiles that are not listed are plain ground.
+//   moveCost    movement points to enter the tile
+//   blocksMove  impassable (walls, rocks)
+//   blocksSight stops ranged line of sight
+//   defense     damage soaked by a unit standing on the tile
+//   rangeBonus  extra attack range for ranged units standing on the tile
+//   effect      status effect put on a unit that ends a move or starts its turn
+//               there (see effects.js)
+//   clears      status effects such a unit loses
+export const TERRAIN = {
+  plain: { label: "Plain", moveCost: 1 },
+  wall: { label: "Wall", blocksMove: true, blocksSight: true },
+  rock: { label: "Rock", blocksMove: true, blocksSight: true },
+  water: { label: "Water", moveCost: 2, clears: ["burn"] },
+  forest: { label: "Forest", moveCost: 1, defense: 1 },
+  high: { label: "High ground", moveCost: 1, rangeBonus: 1 },
+  swamp: {
+    label: "Swamp",
+    moveCost: 2,
+    effect: { kind: "poison", turns: 2, power: 1 },
+  },
+};
+
+export const terrainAt = (board, p) =>
+  board.terrain?.[key(p.x, p.y)] ?? "plain";
+
+export const terrainOf = (board, p) =>
+  TERRAIN[terrainAt(board, p)] ?? TERRAIN.plain;
+
+// Step cost callback for grid.movementField
+export const terrainStepCost = (board) => (p) =>
+  terrainOf(board, p).moveCost ?? 1;
+
+// Impassable tiles as "x,y" keys
+export function impassableSet(board) {
+  const s = new Set();
+  Object.entries(board.terrain ?? {}).forEach(([k, type]) => {
+    if (TERRAIN[type]?.blocksMove) s.add(k);
+  });
+  return s;
+}
@@ -0,0 +1,139 @@
+import { creaturesLost, isStack, STATUS_EFFECTS } from "./battle/index.js";
+
+// --------------------------- Combat log ---------------------------
+// Engine events -> lines for the combat log panel: { team, text }, where `team`
+// is the side the line is about (the acting unit, or the unit that fell) so the
+// panel can filter by side. `unitOf(id)` finds a unit before or after the
+// action (the fallen are gone afterwards); `teamLabel(team)` names a side,
+// `abilityName(id)` an ability and `itemName(id)` an item.
+
+const at = (p) => `(${p.x},${p.y})`;
+const effectName = (kind) =>
+  (STATUS_EFFECTS[kind]?.label ?? kind).toLowerCase();
+const turns = (n) => `${n} turn${n === 1 ? "" : "s"}`;
+
+// Creatures of a stack that fell to `damage` leaving it at `hp` (the last
+// one's death gets its own line)
+const fallen = (target, damage, hp) => {
+  if (!isStack(target) || hp <= 0) return 0;
+  return creaturesLost({ ...target, hp: hp + damage }, damage);
+};
+
+// " (critical, 2 absorbed by a shield, 1 creature fell)" notes on a strike
+const notes = (ev, target) => {
+  const lost = target ? fallen(target, ev.damage, ev.hp) : 0;
+  const parts = [
+    ev.crit && "critical",
+    ev.absorbed > 0 && `${ev.absorbed} absorbed by a shield`,
+    lost > 0 && `${lost} creature${lost === 1 ? "" : "s"} fell`,
+  ].filter(Boolean);
+  return parts.length ? ` (${parts.join(", ")})` : "";
+};
+
+export function describeEvent(
+  ev,
+  unitOf,
+  teamLabel,
+  abilityName = (id) => id,
+  itemName = (id) => id
+) {
+  const unit = unitOf(ev.unitId);
+  const name = unit?.name ?? ev.unitId;
+  const target = ev.targetId && (unitOf(ev.targetId)?.name ?? ev.targetId);
+  switch (ev.type) {
+    case "move":
+      return { team: unit?.team, text: `${name} moved to ${at(ev.to)}` };
+    case "attack":
+      return {
+        team: unit?.team,
+        text:
+          (ev.retaliation
+            ? ev.hit
+              ? `${name} struck back at ${target} for ${ev.damage}`
+              : `${name} struck back at ${target} and missed`
+            : ev.hit
+            ? `${name} hit ${target} for ${ev.damage}`
+            : `${name} missed ${target}`) + notes(ev, unitOf(ev.targetId)),
+      };
+    case "ability":
+      return {
+        team: unit?.team,
+        text: `${name} used ${abilityName(ev.abilityId)} on ${at(ev.at)}`,
+      };
+    case "item":
+      return {
+        team: unit?.team,
+        text: `${name} used a ${itemName(ev.itemId)} on ${at(ev.at)}`,
+      };
+    case "hit": {
+      const source =
+        ev.itemId !== undefined
+          ? itemName(ev.itemId)
+          : abilityName(ev.abilityId);
+      return {
+        team: unit?.team,
+        text:
+          (ev.hit
+            ? `${source} hit ${target} for ${ev.damage}`
+            : `${source} missed ${target}`) + notes(ev, unitOf(ev.targetId)),
+      };
+    }
+    case "push":
+      return { team: unit?.team, text: `${name} was pushed to ${at(ev.to)}` };
+    case "heal":
+      return {
+        team: unit?.team,
+        text:
+          ev.amount === 0
+            ? `${name} missed heal on ${target}`
+            : `${name} healed ${target} for ${ev.amount}`,
+      };
+    case "status":
+      return {
+        team: unit?.team,
+        text: `${name} gets ${effectName(ev.kind)} for ${turns(ev.turns)}`,
+      };
+    case "tick": {
+      const effect = STATUS_EFFECTS[ev.kind];
+      const text = effect?.skipTurn
+        ? `${name} is stunned and loses the turn`
+        : effect?.heals
+        ? `${name} regains ${ev.amount} hp`
+        : `${name} takes ${ev.amount} from ${effectName(ev.kind)}` +
+          notes({ damage: ev.amount, hp: ev.hp }, unit);
+      return { team: unit?.team, text };
+    }
+    case "expire":
+      return {
+        team: unit?.team,
+        text: `${name} is free of ${effectName(ev.kind)}`,
+      };
+    case "death":
+      return { team: unit?.team, text: `${name} died` };
+    case "wait":
+      return {
+        team: unit?.team,
+        text: ev.deferred ? `${name} waits to act later` : `${name} waits`,
+      };
+    case "defend":
+      return { team: unit?.team, text: `${name} defends` };
+    case "turn":
+      return {
+        team: ev.turn,
+        text: ev.unitId
+          ? `Round ${ev.round}: ${name} (${teamLabel(ev.turn)}) is up`
+          : `Round ${ev.round}: ${teamLabel(ev.turn)} to move`,
+      };
+    case "battleEnd":
+      return {
+        team: ev.winner,
+        text: `${teamLabel(ev.winner)} won the battle`,
+      };
+    default:
+      return null;
+  }
+}
+
+// Plain-text export, one line per entry
+export const logText = (entries) =>
+  entries.map((e) => `[Round ${e.round}] ${e.text}`).join("\n") + "\n";
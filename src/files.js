@@ -0,0 +1,29 @@
+// --------------------------- Files ---------------------------
+// Browser-side export/import of small text files (replays, logs). Works the
+// same under Electron, which shows its own save/open dialogs.
+
+// Offers `text` as a download named `filename`
+export function downloadText(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Lets the user pick a file; resolves with its text, or null when cancelled
+export function pickTextFile(accept) {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.onchange = () => {
+      const file = input.files?.[0];
+      if (!file) return resolve(null);
+      file.text().then(resolve, reject);
+    };
+    input.oncancel = () => resolve(null);
+    input.click();
+  });
+}
@@ -0,0 +1,32 @@
+import { getUnit, validateAction } from "../battle/index.js";
+
+// --------------------------- Online protocol ---------------------------
+// Game messages carried by the relay (server/relay.js). The two sides exchange
+// actions, never state:
+//   guest -> host  { kind: "hello", version }
+//   host -> guest  { kind: "start", version, setup, seed }
+//   guest -> host  { kind: "intent", action }                // "I'd like to play this"
+//   host -> guest  { kind: "action", index, action, hash? }  // the agreed order
+//   host -> guest  { kind: "reject", action, reason }
+//   guest -> host  { kind: "desync", index, hash }
+//   either         { kind: "bye", reason }
+// The host owns the seed and applies every action first, so all rolls come
+// from its engine; the guest's engine replays the same actions and must reach
+// the same hashState every time the turn passes (sent along as `hash`).
+
+export const PROTOCOL_VERSION = 1;
+export const HOST_TEAM = "player";
+export const GUEST_TEAM = "enemy";
+
+export const teamOfRole = (role) => (role === "guest" ? GUEST_TEAM : HOST_TEAM);
+
+// Why the host refuses a guest's intent, or null to accept it
+export function checkIntent(state, action) {
+  if (state.turn !== GUEST_TEAM) return "not your turn";
+  if (
+    action?.type !== "endTurn" &&
+    getUnit(state, action?.unitId)?.team !== GUEST_TEAM
+  )
+    return "not your unit";
+  return validateAction(state, action);
+}
@@ -0,0 +1,129 @@
+// --------------------------- Relay client ---------------------------
+// Browser side of server/relay.js: hosts or joins a lobby, delivers payloads in
+// order and survives dropped connections (rejoin, replay of what was missed,
+// resend of what the relay never acknowledged).
+//
+// connectRelay(url, { code?, onPayload, onPeer, onStatus }) resolves once the
+// lobby is hosted (no `code`) or joined, with { code, role, send, close }.
+// Status: "waiting" (host alone) | "connected" | "reconnecting" | "closed".
+
+export const RELAY_PORT = 8787;
+export const defaultRelayUrl = () =>
+  `ws://${window.location.hostname || "localhost"}:${RELAY_PORT}`;
+
+const RETRY_MS = [500, 1000, 2000, 4000, 8000];
+const MAX_RETRIES = 12;
+
+export function connectRelay(url, { code, onPayload, onPeer, onStatus }) {
+  let ws = null;
+  let session = null; // { code, token, role }
+  let lastSeq = 0; // last relay message delivered to us
+  let nextId = 1; // numbers our own messages
+  let unacked = []; // [{ id, payload }] sent but not acknowledged yet
+  let retries = 0;
+  let closed = false;
+
+  const raw = (msg) => {
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  };
+
+  const shutdown = () => {
+    closed = true;
+    ws?.close();
+    onStatus?.("closed");
+  };
+
+  const client = {
+    get code() {
+      return session?.code ?? null;
+    },
+    get role() {
+      return session?.role ?? null;
+    },
+    send(payload) {
+      const msg = { id: nextId++, payload };
+      unacked.push(msg);
+      raw({ type: "relay", ...msg });
+    },
+    close: shutdown,
+  };
+
+  return new Promise((resolve, reject) => {
+    const open = () => {
+      if (closed) return;
+      try {
+        ws = new WebSocket(url);
+      } catch (e) {
+        closed = true;
+        reject(e);
+        return;
+      }
+      ws.onopen = () => {
+        retries = 0;
+        if (session)
+          raw({
+            type: "rejoin",
+            code: session.code,
+            token: session.token,
+            lastSeq,
+          });
+        else raw(code ? { type: "join", code } : { type: "host" });
+      };
+      ws.onmessage = (ev) => {
+        const msg = JSON.parse(ev.data);
+        switch (msg.type) {
+          case "hosted":
+          case "joined":
+            session = { code: msg.code, token: msg.token, role: msg.role };
+            onStatus?.(msg.type === "hosted" ? "waiting" : "connected");
+            resolve(client);
+            break;
+          case "rejoined":
+            onStatus?.("connected");
+            unacked = unacked.filter((m) => m.id > msg.lastId);
+            unacked.forEach((m) => raw({ type: "relay", ...m }));
+            break;
+          case "ack":
+            unacked = unacked.filter((m) => m.id > msg.id);
+            break;
+          case "relay":
+            if (msg.seq <= lastSeq) break;
+            lastSeq = msg.seq;
+            onPayload?.(msg.payload);
+            break;
+          case "peer":
+            if (msg.status === "joined") onStatus?.("connected");
+            onPeer?.(msg.status);
+            break;
+          case "error":
+            if (!session) {
+              closed = true;
+              ws.close();
+              reject(new Error(msg.message));
+            } else {
+              console.warn(`Relay: ${msg.message}`);
+              if (msg.message === "Session expired") shutdown();
+            }
+            break;
+          default:
+            break;
+        }
+      };
+      ws.onclose = () => {
+        if (closed) return;
+        if (!session) {
+          closed = true;
+          reject(new Error(`Cannot reach the relay at ${url}`));
+          return;
+        }
+        if (retries >= MAX_RETRIES) {
+          shutdown();
+          return;
+        }
+        onStatus?.("reconnecting");
+        setTimeout(open, RETRY_MS[Math.min(retries++, RETRY_MS.length - 1)]);
+      };
+    };
+    open();
+  });
+}
@@ -0,0 +1,22 @@
+// --------------------------- Preferences ---------------------------
+// Small user settings kept in localStorage (persistent under Electron too).
+
+const KEY = "arena-of-heroes:prefs";
+
+export function loadPreferences() {
+  try {
+    return JSON.parse(localStorage.getItem(KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function savePreferences(patch) {
+  const next = { ...loadPreferences(), ...patch };
+  try {
+    localStorage.setItem(KEY, JSON.stringify(next));
+  } catch {
+    console.warn("Failed to store preferences");
+  }
+  return next;
+}
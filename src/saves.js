@@ -0,0 +1,79 @@
+import {
+  SaveError,
+  fromCampaignData,
+  fromSaveData,
+  saveSummary,
+} from "./battle/index.js";
+
+// --------------------------- Save slots ---------------------------
+// Browser build: localStorage. Electron: JSON files in the user data
+// directory, reached through the preload bridge (window.saveStore). Campaign
+// progress lives in the same store under its own slot.
+
+export const AUTOSAVE_SLOT = "autosave";
+export const SAVE_SLOTS = ["slot-1", "slot-2", "slot-3"];
+const CAMPAIGN_SLOT = "campaign";
+
+const PREFIX = "arena-of-heroes:save:";
+
+const localStore = {
+  async list() {
+    return Object.keys(localStorage)
+      .filter((k) => k.startsWith(PREFIX))
+      .map((k) => k.slice(PREFIX.length));
+  },
+  async read(slot) {
+    const raw = localStorage.getItem(PREFIX + slot);
+    if (raw == null) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new SaveError(`Save "${slot}" is corrupted`);
+    }
+  },
+  async write(slot, data) {
+    localStorage.setItem(PREFIX + slot, JSON.stringify(data));
+  },
+  async remove(slot) {
+    localStorage.removeItem(PREFIX + slot);
+  },
+};
+
+const store = () => window.saveStore ?? localStore;
+
+// slot -> summary (see battle/save.js saveSummary) for every non-empty slot
+export async function listSaves() {
+  const out = {};
+  for (const slot of await store().list()) {
+    if (slot === CAMPAIGN_SLOT) continue;
+    try {
+      const data = await store().read(slot);
+      if (data) out[slot] = saveSummary(data);
+    } catch (e) {
+      console.warn(`Skipping unreadable save "${slot}"`, e);
+    }
+  }
+  return out;
+}
+
+export const writeSave = (slot, data) => store().write(slot, data);
+
+// Parsed and validated save, or null for an empty slot
+export async function readSave(slot) {
+  const data = await store().read(slot);
+  return data == null ? null : fromSaveData(data);
+}
+
+export const deleteSave = (slot) => store().remove(slot);
+
+// Validated campaign progress (see battle/campaign.js), or null when none is
+// stored
+export async function readCampaign(campaign, roster) {
+  const data = await store().read(CAMPAIGN_SLOT);
+  return data == null ? null : fromCampaignData(data, campaign, roster);
+}
+
+export const writeCampaign = (progress) =>
+  store().write(CAMPAIGN_SLOT, progress);
+
+export const deleteCampaign = () => store().remove(CAMPAIGN_SLOT);
@@ -0,0 +1,82 @@
+import {
+  ScenarioError,
+  validateCampaign,
+  validateRoster,
+  validateScenario,
+} from "./battle/index.js";
+
+// --------------------------- Scenario files ---------------------------
+// Fetches the JSON under public/scenarios/ (relative to BASE_URL so it also
+// works from file:// in Electron) and validates it before the game sees it.
+
+const BASE = import.meta.env.BASE_URL || "./";
+export const ASSET_BASE = BASE;
+
+async function fetchJson(file) {
+  let res;
+  try {
+    res = await fetch(`${BASE}scenarios/${file}`);
+  } catch (e) {
+    throw new ScenarioError(file, [`could not be loaded (${e.message})`]);
+  }
+  if (!res.ok)
+    throw new ScenarioError(file, [`could not be loaded (HTTP ${res.status})`]);
+  try {
+    return await res.json();
+  } catch (e) {
+    throw new ScenarioError(file, [`is not valid JSON (${e.message})`]);
+  }
+}
+
+// ids of the scenarios listed in index.json, in menu order
+export async function loadScenarioIndex() {
+  const data = await fetchJson("index.json");
+  const list = data?.scenarios;
+  if (
+    !Array.isArray(list) ||
+    list.length === 0 ||
+    !list.every((id) => typeof id === "string" && id.trim())
+  )
+    throw new ScenarioError("index.json", [
+      "scenarios must be a non-empty array of scenario ids",
+    ]);
+  return list;
+}
+
+export async function loadRoster() {
+  return validateRoster(await fetchJson("roster.json"), "roster.json");
+}
+
+export async function loadScenario(id, roster) {
+  const file = `${id}.json`;
+  const scenario = validateScenario(await fetchJson(file), roster, file);
+  if (scenario.id !== id)
+    throw new ScenarioError(file, [
+      `id must match the file name (expected "${id}", got "${scenario.id}")`,
+    ]);
+  return scenario;
+}
+
+// Campaign battles must be scenarios listed in index.json
+export async function loadCampaign(roster, scenarios) {
+  return validateCampaign(
+    await fetchJson("campaign.json"),
+    roster,
+    scenarios,
+    "campaign.json"
+  );
+}
+
+// Everything the setup screen needs:
+// { ids, scenarios: { id: scenario }, roster, campaign }
+export async function loadCatalog() {
+  const [ids, roster] = await Promise.all([loadScenarioIndex(), loadRoster()]);
+  const list = await Promise.all(ids.map((id) => loadScenario(id, roster)));
+  const scenarios = Object.fromEntries(list.map((s) => [s.id, s]));
+  return {
+    ids,
+    roster,
+    scenarios,
+    campaign: await loadCampaign(roster, scenarios),
+  };
+}